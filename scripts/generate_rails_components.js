@@ -4,10 +4,14 @@
  * Rails Component Generator (tool-agnostic)
  *
  * Converts React/Next TypeScript components into Rails shadow artifacts:
- * - ViewComponent classes with ERB templates (custom components)
+ * - ViewComponent classes with ERB templates (custom components), or Phlex classes
  * - BEM-structured CSS files (ITCSS components layer)
  * - Stimulus controllers
  * - ActiveRecord models inferred from TS interfaces
+ * - db/seeds.rb and fixtures from the prototype's mock data arrays
+ * - Minitest tests and fixtures for the components and models
+ * - ViewComponent previews from Storybook stories
+ * - Routes, controllers and views from Next.js pages; Api:: controllers from route handlers
  * - Optional doc entries to keep React↔Rails mappings in sync
  *
  * Architecture:
@@ -18,12 +22,25 @@
  * Usage:
  *   node scripts/generate_rails_components.js --all
  *   node scripts/generate_rails_components.js --component=FilterChip
+ *   node scripts/generate_rails_components.js --component=admin/UserTable
+ *   node scripts/generate_rails_components.js --all --format=phlex
  *   node scripts/generate_rails_components.js --models-only
+ *   node scripts/generate_rails_components.js --migrations
+ *   node scripts/generate_rails_components.js --seeds
+ *   node scripts/generate_rails_components.js --routes
  *   node scripts/generate_rails_components.js --dry-run
+ *   node scripts/generate_rails_components.js --watch
+ *   node scripts/generate_rails_components.js --check [--json]
  *   node scripts/generate_rails_components.js --update-docs --component=FilterChip
+ *   node scripts/generate_rails_components.js --config=path/to/rails-blueprint.config.js --all
+ *
+ * Paths, naming overrides and generator switches can be set per project in a
+ * rails-blueprint.config.{js,json} at the project root (see loadProjectConfig).
  */
 
-const fs = require('fs').promises;
+const crypto = require('crypto');
+const fsSync = require('fs');
+const fs = fsSync.promises;
 const path = require('path');
 
 // -----------------------------------------------------------------------------
@@ -32,27 +49,91 @@ const path = require('path');
 
 const ROOT = path.join(__dirname, '..');
 
+const CONFIG_FILE_NAMES = ['rails-blueprint.config.js', 'rails-blueprint.config.json'];
+const GENERATOR_SWITCHES = ['components', 'styles', 'stimulus', 'models', 'migrations', 'routes', 'tests', 'seeds'];
+// ViewComponent writes .rb + .html.erb sidecars; Phlex writes one Components::<Name> < Phlex::HTML class.
+const OUTPUT_FORMATS = ['view_component', 'phlex'];
+
+function outputPaths(base) {
+  return {
+    base,
+    components: path.join(base, 'app/components'),
+    // Phlex components; `phlex.directory` in the config moves them
+    phlex: path.join(base, 'app/components'),
+    stylesheets: path.join(base, 'app/assets/stylesheets'),
+    stimulus: path.join(base, 'app/javascript/controllers'),
+    models: path.join(base, 'app/models'),
+    migrations: path.join(base, 'db/migrate'),
+    controllers: path.join(base, 'app/controllers'),
+    views: path.join(base, 'app/views'),
+    routes: path.join(base, 'config/routes.rb'),
+    tests: path.join(base, 'test'),
+    seeds: path.join(base, 'db/seeds.rb'),
+    cache: path.join(base, '.generator-cache.json'),
+    generatorBase: path.join(base, '.generator-base'),
+    schema: path.join(base, 'db/schema.rb')
+  };
+}
+
+// Defaults; a project config file overrides these in place (applyProjectConfig).
 const CONFIG = {
+  configFile: null,
   paths: {
-    components: path.join(ROOT, 'src/components/app'),
-    types: path.join(ROOT, 'src/types/index.ts'),
+    // Each root lists .tsx files matching `include` and not matching `exclude`
+    // (globs relative to `dir`).
+    componentRoots: [{ dir: path.join(ROOT, 'src/components/app'), include: ['**/*.tsx'], exclude: [] }],
+    // Entry files; sibling files in the same directory are loaded as well.
+    types: [path.join(ROOT, 'src/types/index.ts')],
+    // Files or directories with exported Zod schemas (the type files are searched too)
+    schemas: [path.join(ROOT, 'src/schemas'), path.join(ROOT, 'src/lib/validations')],
+    // Files or directories with exported mock data arrays (`export const users: User[] = [...]`)
+    data: [path.join(ROOT, 'src/data')],
+    // Next.js `app/` or `pages/` directory; null looks for src/app, app, src/pages, pages
+    routes: null,
     templates: path.join(__dirname, 'templates'),
-    output: {
-      base: path.join(ROOT, 'rails_generated'),
-      components: path.join(ROOT, 'rails_generated/app/components'),
-      stylesheets: path.join(ROOT, 'rails_generated/app/assets/stylesheets'),
-      stimulus: path.join(ROOT, 'rails_generated/app/javascript/controllers'),
-      models: path.join(ROOT, 'rails_generated/app/models')
-    },
+    output: outputPaths(path.join(ROOT, 'rails_generated')),
     docs: path.join(ROOT, 'docs'),
     mappingLog: path.join(ROOT, 'docs/react_to_rails.md')
   },
+  // Component name (`FilterChip`, `admin/UserTable`) → { component, bemBlock, stimulus } overrides.
+  naming: {},
+  generators: Object.fromEntries(GENERATOR_SWITCHES.map(name => [name, true])),
+  // One of OUTPUT_FORMATS; --format= overrides it for a run
+  format: 'view_component',
+  icons: {
+    // rails_icons library the helper calls name
+    library: 'lucide',
+    // lucide-react import name → rails_icons name, or null for "no equivalent"
+    map: {},
+    // Synced rails_icons SVGs (e.g. app/assets/svg/icons); when set, names are checked against it
+    directory: null
+  },
+  tailwind: {
+    // Classes (or RegExps in a .js config) to @apply although they are not core utilities
+    safelist: []
+  },
+  rubyUi: {
+    // Import path of the shadcn/ui primitives
+    module: '@/components/ui',
+    // shadcn/ui export name → RubyUI component name or { component, props, asChild },
+    // merged over RUBY_UI_COMPONENTS; null marks a primitive as having no equivalent
+    components: {}
+  },
+  railsVersion: '7.1',
   templates: {
     viewComponent: 'view_component.rb.template',
     viewComponentErb: 'view_component.html.erb.template',
     viewComponentCss: 'view_component.css.template',
     stimulus: 'stimulus_controller.js.template',
-    model: 'model.rb.template'
+    model: 'model.rb.template',
+    migration: 'migration.rb.template',
+    controller: 'controller.rb.template',
+    apiController: 'api_controller.rb.template',
+    componentTest: 'component_test.rb.template',
+    modelTest: 'model_test.rb.template',
+    componentPreview: 'component_preview.rb.template',
+    phlexComponent: 'phlex_component.rb.template',
+    phlexComponentTest: 'phlex_component_test.rb.template'
   }
 };
 
@@ -70,7 +151,7 @@ class {{component_name}}Component < ApplicationComponent
   # BEM helper for this component
   def block_class
     "{{bem_block}}"
-  end
+  end{{modifier_classes}}{{form_params}}
 
   # Suggested RubyUI components to consider:
   # - RubyUI::Button for actions
@@ -85,52 +166,16 @@ end
 `,
   viewComponentErb: `<%# Source: {{react_file_path}} %>
 <%# BEM Block: {{bem_block}} %>
+<%# Translated from JSX; review any TODO comments left in place. %>
 
-<div class="{{bem_block}}" data-controller="{{stimulus_controller}}">
-  <%#
-    TODO: Convert React JSX to ERB
-
-    RubyUI components available:
-    - <%= render RubyUI::Button.new(variant: :primary) { "Action" } %>
-    - <%= render RubyUI::Card.new { ... } %>
-    - <%= render RubyUI::Badge.new { "Status" } %>
-    - <%= render RubyUI::Avatar.new(src: url, alt: name) %>
-
-    Use BEM naming for custom elements:
-    - {{bem_block}}__header
-    - {{bem_block}}__content
-    - {{bem_block}}__footer
-    - {{bem_block}}--modifier
-  %>
-
-  {{html_structure}}
-</div>
+{{html_structure}}
 `,
   viewComponentCss: `/* Source: {{react_file_path}} */
 /* ITCSS Layer: components */
 /* BEM Block: {{bem_block}} */
+/* Utilities come from the React className strings; BEM names the structure. */
 
-.{{bem_block}} {
-  /* Block base styles */
-  /* Use Tailwind for spacing/colors, BEM for structure */
-}
-
-/* Elements */
-.{{bem_block}}__header {
-}
-
-.{{bem_block}}__content {
-}
-
-.{{bem_block}}__footer {
-}
-
-/* Modifiers */
-.{{bem_block}}--active {
-}
-
-.{{bem_block}}--disabled {
-}
+{{bem_rules}}
 `,
   stimulus: `// {{react_file_path}}
 import { Controller } from "@hotwired/stimulus"
@@ -143,7 +188,7 @@ export default class extends Controller {
     {{initialization_code}}
   }
 
-  {{action_methods}}
+  {{value_callbacks}}{{action_methods}}
 
   disconnect() {
     {{cleanup_code}}
@@ -160,6 +205,93 @@ class {{model_name}} < ApplicationRecord
 
   {{instance_methods}}
 end
+`,
+  migration: `# {{interface_path}}
+class {{migration_class}} < ActiveRecord::Migration[{{rails_version}}]
+  def change
+    create_table :{{table_name}} do |t|
+      {{columns}}
+
+      t.timestamps
+    end{{indexes}}
+  end
+end
+`,
+  controller: `# frozen_string_literal: true
+# Source: {{pages_path}}
+# Each action renders its view, which renders the page's ViewComponent.
+
+class {{controller_class}} < ApplicationController{{layout}}
+  {{actions}}
+end
+`,
+  apiController: `# frozen_string_literal: true
+# Source: {{route_files}}
+
+class {{controller_class}} < ActionController::API
+  {{actions}}{{private_methods}}
+end
+`,
+  componentTest: `# frozen_string_literal: true
+# Source: {{react_file_path}}
+
+require "test_helper"
+
+class {{component_name}}ComponentTest < ViewComponent::TestCase
+  {{tests}}
+end
+`,
+  phlexComponentTest: `# frozen_string_literal: true
+# Source: {{react_file_path}}
+
+require "test_helper"
+
+class Components::{{component_name}}Test < ActionView::TestCase
+  {{tests}}
+end
+`,
+  modelTest: `# frozen_string_literal: true
+# Source: {{interface_path}}
+
+require "test_helper"
+
+class {{model_name}}Test < ActiveSupport::TestCase
+  setup do
+    @{{record}} = {{fixture}}
+  end
+
+  {{tests}}
+end
+`,
+  componentPreview: `# frozen_string_literal: true
+# Source: {{stories_path}}
+# Storybook: {{story_title}}
+
+class {{component_name}}ComponentPreview < ViewComponent::Preview
+  {{previews}}
+end
+`,
+  phlexComponent: `# frozen_string_literal: true
+# Source: {{react_file_path}}
+# BEM Block: {{bem_block}}
+# Translated from JSX; review any TODO comments left in place.
+
+class Components::{{component_name}} < Phlex::HTML
+  {{helpers}}{{prop_attrs}}
+
+  def initialize({{props}})
+    {{prop_assignments}}
+  end
+
+  def view_template
+{{html_structure}}
+  end
+
+  # BEM helper for this component
+  def block_class
+    "{{bem_block}}"
+  end{{modifier_classes}}{{form_params}}
+end
 `
 };
 
@@ -188,11 +320,198 @@ async function loadTemplate(name, fallbackKey) {
   return FALLBACK_TEMPLATES[fallbackKey];
 }
 
-function sanitizeLines(block) {
-  return block
-    .split('\n')
-    .map(line => line.replace(/\/\/.*$/, '').replace(/\/\*.*\*\//g, '').trim())
-    .filter(Boolean);
+// Lists files under `dir` recursively (sorted), skipping node_modules.
+async function listFiles(dir, filter = () => true) {
+  const results = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules') results.push(...(await listFiles(full, filter)));
+    } else if (filter(entry.name)) {
+      results.push(full);
+    }
+  }
+  return results;
+}
+
+// TypeScript sources in the given files and directories; missing entries are skipped.
+async function sourceFilesIn(entries) {
+  const files = [];
+  for (const entry of entries) {
+    if (!(await pathExists(entry))) continue;
+    const found = (await fs.stat(entry)).isDirectory() ? await listFiles(entry, f => /\.tsx?$/.test(f) && !f.endsWith('.d.ts')) : [entry];
+    found.forEach(file => files.includes(file) || files.push(file));
+  }
+  return files;
+}
+
+// Returns null when the file no longer exists.
+async function hashFile(filePath) {
+  try {
+    return crypto.createHash('sha1').update(await fs.readFile(filePath)).digest('hex');
+  } catch {
+    return null;
+  }
+}
+
+function isInside(filePath, dir) {
+  const rel = path.relative(dir, filePath);
+  return Boolean(rel) && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+// Directories holding the type files; entries in CONFIG.paths.types may name files or directories.
+function typeDirs() {
+  return [...new Set(CONFIG.paths.types.map(p => (path.extname(p) ? path.dirname(p) : p)))];
+}
+
+async function existingTypeFiles() {
+  const files = [];
+  for (const file of CONFIG.paths.types) {
+    if (await pathExists(file)) files.push(file);
+  }
+  return files;
+}
+
+/**
+ * Rails-side names for a component. Components are named by their path under
+ * the component root, so folders become namespaces:
+ *
+ *   admin/UserTable → Admin::UserTable (class), admin/user_table (path),
+ *                     admin-user-table (BEM block), admin--user-table (Stimulus)
+ *
+ * Naming overrides from the project config take precedence.
+ */
+function namingFor(componentName) {
+  const override = CONFIG.naming[componentName] || {};
+  const component = override.component || componentName.split('/').map(toPascalCase).join('::');
+  const parts = component.split('::');
+  return {
+    component,
+    path: parts.map(toSnakeCase).join('/'),
+    bemBlock: override.bemBlock || parts.map(toKebabCase).join('-'),
+    stimulus: override.stimulus || parts.map(toKebabCase).join('--')
+  };
+}
+
+// Ruby class rendering a component: `FilterChipComponent`, or `Components::FilterChip` with Phlex.
+function railsComponentClass(component) {
+  return CONFIG.format === 'phlex' ? `Components::${component}` : `${component}Component`;
+}
+
+// Where the Rails artifacts for a React component are written.
+function componentOutputPaths(componentName) {
+  const naming = namingFor(componentName);
+  const componentDir = path.join(CONFIG.paths.output.components, naming.path);
+  const baseName = path.basename(naming.path);
+  const phlex = CONFIG.format === 'phlex';
+
+  return {
+    // ViewComponent files (sidecar pattern), or a single Phlex class (`Components::Admin::UserTable`
+    // in admin/user_table.rb) with no template
+    rb: phlex ? path.join(CONFIG.paths.output.phlex, `${naming.path}.rb`) : path.join(componentDir, `${baseName}_component.rb`),
+    erb: phlex ? null : path.join(componentDir, `${baseName}_component.html.erb`),
+    // ITCSS-structured CSS (components layer)
+    css: path.join(CONFIG.paths.output.stylesheets, 'components', `_${naming.bemBlock}.css`),
+    // Stimulus controller; `admin/user-table_controller.js` registers as `admin--user-table`
+    stimulus: path.join(CONFIG.paths.output.stimulus, `${naming.stimulus.split('--').join('/')}_controller.js`),
+    // Minitest render test
+    test: path.join(CONFIG.paths.output.tests, 'components', `${naming.path}${phlex ? '' : '_component'}_test.rb`),
+    // ViewComponent / Lookbook preview, written when the component has stories
+    preview: path.join(CONFIG.paths.output.tests, 'components', 'previews', `${naming.path}_component_preview.rb`)
+  };
+}
+
+function modelOutputPath(modelName) {
+  return path.join(CONFIG.paths.output.models, `${toSnakeCase(modelName)}.rb`);
+}
+
+function modelTestOutputPath(modelName) {
+  return path.join(CONFIG.paths.output.tests, 'models', `${toSnakeCase(modelName)}_test.rb`);
+}
+
+function fixtureOutputPath(modelName) {
+  return path.join(CONFIG.paths.output.tests, 'fixtures', `${pluralize(toSnakeCase(modelName))}.yml`);
+}
+
+// Converts a glob (`*`, `**`, `?`, `{a,b}`) to an anchored RegExp over `/`-separated paths.
+function globToRegExp(glob) {
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function matchesGlobs(relPath, globs) {
+  return globs.some(glob => globToRegExp(glob).test(relPath));
+}
+
+// Component name (path under its root without `.tsx`, e.g. `admin/UserTable`)
+// for a file, or null if no component root includes it.
+function componentNameFor(filePath) {
+  if (!filePath.endsWith('.tsx') || STORY_FILE.test(filePath)) return null;
+  const root = CONFIG.paths.componentRoots.find(r => {
+    if (!isInside(filePath, r.dir)) return false;
+    const rel = path.relative(r.dir, filePath).split(path.sep).join('/');
+    return matchesGlobs(rel, r.include) && !matchesGlobs(rel, r.exclude);
+  });
+  return root ? path.relative(root.dir, filePath).split(path.sep).join('/').replace(/\.tsx$/, '') : null;
+}
+
+// Components found across all roots, as { name, filePath }; the first root wins on a name clash.
+async function discoverComponents() {
+  const components = [];
+  for (const root of CONFIG.paths.componentRoots) {
+    if (!(await pathExists(root.dir))) continue;
+    for (const filePath of await listFiles(root.dir, f => f.endsWith('.tsx'))) {
+      const name = componentNameFor(filePath);
+      if (name && !components.some(c => c.name === name)) components.push({ name, filePath });
+    }
+  }
+  return components;
+}
+
+async function listComponentNames() {
+  return (await discoverComponents()).map(c => c.name);
+}
+
+// Finds a component by name (`admin/UserTable`) or, when unambiguous, by its bare name (`UserTable`).
+async function findComponent(name) {
+  const components = await discoverComponents();
+  const wanted = name.replace(/\.tsx$/, '');
+  const exact = components.find(c => c.name === wanted);
+  if (exact) return exact;
+
+  const matches = components.filter(c => path.posix.basename(c.name) === wanted);
+  if (matches.length > 1) {
+    throw new Error(`Component ${name} is ambiguous; use one of: ${matches.map(c => c.name).join(', ')}`);
+  }
+  return matches[0] || null;
+}
+
+function timeStamp() {
+  return `[${new Date().toTimeString().slice(0, 8)}]`;
 }
 
 function isBuiltInHook(name) {
@@ -221,437 +540,5987 @@ function toKebabCase(str) {
   return str.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
 }
 
+function toPascalCase(str) {
+  return str
+    .split(/[_\-\s]+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+}
+
+// Covers the common English plurals; irregular table names can be renamed by hand.
+function pluralize(word) {
+  if (/(s|x|z|ch|sh)$/.test(word)) return `${word}es`;
+  if (/[^aeiou]y$/.test(word)) return word.replace(/y$/, 'ies');
+  return `${word}s`;
+}
+
+function migrationTimestamp(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return Number(
+    `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+      `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`
+  );
+}
+
+// Adds one second to a YYYYMMDDHHMMSS timestamp.
+function incrementTimestamp(timestamp) {
+  const str = String(timestamp);
+  const date = new Date(
+    Date.UTC(
+      Number(str.slice(0, 4)),
+      Number(str.slice(4, 6)) - 1,
+      Number(str.slice(6, 8)),
+      Number(str.slice(8, 10)),
+      Number(str.slice(10, 12)),
+      Number(str.slice(12, 14)) + 1
+    )
+  );
+  return migrationTimestamp(date);
+}
+
+const TIMESTAMP_COLUMNS = new Set(['created_at', 'updated_at']);
+
+// Splits `T | null | undefined` into the base type and whether it is nullable.
+function stripNullable(typeStr) {
+  const parts = typeStr.split('|').map(p => p.trim());
+  const base = parts.filter(p => p !== 'null' && p !== 'undefined');
+  return { type: base.join(' | '), nullable: base.length !== parts.length };
+}
+
+// Returns the element type of `T[]` / `Array<T>`, or null for non-collections.
+function collectionElementType(typeStr) {
+  const trimmed = typeStr.trim();
+  const arrayMatch = trimmed.match(/^(.+)\[\]$/);
+  if (arrayMatch) return arrayMatch[1].replace(/^\((.*)\)$/, '$1').trim();
+  const genericMatch = trimmed.match(/^Array<(.+)>$/);
+  if (genericMatch) return genericMatch[1].trim();
+  return null;
+}
+
+// React types that render as markup; props of these types become ViewComponent slots.
+const REACT_NODE_TYPE = /^(React\.)?(ReactNode|ReactElement(<.*>)?|ReactChild|ReactPortal)$|^JSX\.Element$/s;
+
+// Slot names that would shadow a method the generated template calls: rails_icons'
+// `icon`, ViewComponent's `content` and the `form` builder of a form_with block.
+const RESERVED_SLOT_NAMES = new Set(['icon', 'content', 'form']);
+
+/**
+ * Slot a prop maps to, or null for plain data props:
+ * - `children` → the component's `content`
+ * - `header: ReactNode` → `renders_one :header`
+ * - `items: ReactNode[]` → `renders_many :items`
+ * - `renderHeader: () => ReactNode` → `renders_one :header` (a render prop)
+ * A slot named after a reserved method gets a `_slot` suffix (`icon` → `renders_one :icon_slot`)
+ * and records the name it `shadowed`.
+ */
+function slotForProp(prop) {
+  if (prop.name === 'children') return { kind: 'content', name: 'content' };
+  const slot = propSlot(prop);
+  if (!slot || !RESERVED_SLOT_NAMES.has(slot.name)) return slot;
+  return { ...slot, name: `${slot.name}_slot`, shadowed: slot.name };
+}
+
+function propSlot(prop) {
+  const type = stripNullable(prop.type || '').type.replace(/^\((.*)\)$/s, '$1');
+  if (REACT_NODE_TYPE.test(type)) return { kind: 'one', name: toSnakeCase(prop.name) };
+
+  const element = collectionElementType(type);
+  if (element && REACT_NODE_TYPE.test(element)) return { kind: 'many', name: toSnakeCase(prop.name) };
+
+  const fn = type.match(/^\(([^)]*)\)\s*=>\s*(.+)$/s);
+  if (fn && REACT_NODE_TYPE.test(stripNullable(fn[2]).type)) {
+    const base = prop.name.replace(/^render(?=[A-Z])/, '');
+    const name = toSnakeCase(base.charAt(0).toLowerCase() + base.slice(1));
+    return { kind: 'one', name, render: true, params: fn[1].trim() };
+  }
+  return null;
+}
+
+// `renders_one :header`, `renders_many :items`, or `content` for children.
+function slotDeclaration(slot) {
+  return slot.kind === 'content' ? 'content' : `renders_${slot.kind} :${slot.name}`;
+}
+
+// Phlex has no slots: the content is the block and the others are keyword arguments.
+function phlexSlot(slot) {
+  return slot.kind === 'content' ? 'block' : `${slot.name}:`;
+}
+
+function isForeignKeyField(field) {
+  if (!/(_id|Id)$/.test(field.name)) return false;
+  const t = field.type.toLowerCase();
+  return t.includes('string') || t.includes('number') || t.includes('uuid');
+}
+
 // -----------------------------------------------------------------------------
-// Component Analyzer
+// Project Config
 // -----------------------------------------------------------------------------
 
-class ComponentAnalyzer {
-  constructor(filePath) {
-    this.filePath = filePath;
-    this.content = '';
-    this.analysis = {
-      name: '',
-      props: [],
-      state: [],
-      effects: [],
-      handlers: [],
-      hooks: [],
-      childComponents: [],
-      icons: [],
-      tailwindClasses: [],
-      exports: { type: 'default', name: '' }
-    };
+/**
+ * Loads rails-blueprint.config.{js,json} (or the file given with --config=)
+ * and applies it over the CONFIG defaults. Relative paths are resolved from
+ * the config file's directory. Returns the config path, or null if none.
+ *
+ *   module.exports = {
+ *     components: ['src/components/app', { dir: 'src/features', include: ['*.tsx'], exclude: ['*.test.tsx'] }],
+ *     types: ['src/types/index.ts', 'src/types/billing.ts'],
+ *     output: 'rails_generated',
+ *     templates: 'scripts/templates',
+ *     naming: { FilterChip: 'TagChip', UserCard: { bemBlock: 'profile-card' } },
+ *     generators: { stimulus: false },
+ *     format: 'phlex',
+ *     phlex: { directory: 'app/views/components' },
+ *     icons: { library: 'lucide', map: { Sparkles: 'stars' } }
+ *   };
+ */
+async function loadProjectConfig(explicitPath) {
+  let configPath = explicitPath ? path.resolve(process.cwd(), explicitPath) : null;
+  if (!configPath) {
+    for (const name of CONFIG_FILE_NAMES) {
+      if (await pathExists(path.join(ROOT, name))) {
+        configPath = path.join(ROOT, name);
+        break;
+      }
+    }
   }
+  if (!configPath) return null;
+  if (!(await pathExists(configPath))) throw new Error(`Config file not found at ${configPath}`);
 
-  async analyze() {
-    this.content = await fs.readFile(this.filePath, 'utf-8');
-    this.extractComponentName();
-    this.extractProps();
-    this.extractState();
-    this.extractHandlers();
-    this.extractHooks();
-    this.extractIcons();
-    this.extractTailwindClasses();
-    this.extractChildComponents();
-    return this.analysis;
+  let raw;
+  try {
+    raw = configPath.endsWith('.json') ? JSON.parse(await fs.readFile(configPath, 'utf-8')) : require(configPath);
+  } catch (error) {
+    throw new Error(`Could not load ${configPath}: ${error.message}`);
   }
 
-  extractComponentName() {
-    const exportMatch = this.content.match(/export\s+(default\s+)?(?:function|const|class)\s+(\w+)/);
-    if (exportMatch) {
-      this.analysis.name = exportMatch[2];
-      this.analysis.exports.type = exportMatch[1] ? 'default' : 'named';
-      this.analysis.exports.name = exportMatch[2];
-      return;
+  applyProjectConfig(validateProjectConfig(raw, configPath));
+  CONFIG.configFile = configPath;
+  return configPath;
+}
+
+const CONFIG_OPTIONS = [
+  'components', 'types', 'schemas', 'data', 'routes', 'output', 'templates', 'naming', 'generators', 'format', 'phlex', 'icons',
+  'tailwind', 'rubyUi', 'railsVersion'
+];
+const NAMING_OPTIONS = ['component', 'bemBlock', 'stimulus'];
+
+/**
+ * Checks a raw config object and returns it normalized (lists, absolute
+ * paths, naming objects). Throws one error listing every problem found.
+ */
+function validateProjectConfig(raw, configPath) {
+  const baseDir = path.dirname(configPath);
+  const errors = [];
+  const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isGlobList = value =>
+    typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+  const checkKeys = (object, allowed, where) => {
+    Object.keys(object)
+      .filter(key => !allowed.includes(key))
+      .forEach(key => errors.push(`${where}unknown option "${key}" (expected ${allowed.join(', ')})`));
+  };
+  // `kind` is 'file', 'directory', or null when the path need not exist yet.
+  const checkPath = (value, where, kind = 'directory') => {
+    if (typeof value !== 'string' || !value) {
+      errors.push(`${where} must be a non-empty path string`);
+      return null;
     }
-    const namedExportMatch = this.content.match(/export\s*{\s*(\w+)\s*as\s*default/);
-    if (namedExportMatch) {
-      this.analysis.name = namedExportMatch[1];
-      this.analysis.exports.type = 'default';
-      this.analysis.exports.name = namedExportMatch[1];
-    }
-  }
-
-  extractProps() {
-    const interfaceRegex = /(interface|type)\s+(\w+Props)\s*=?\s*{([^}]+)}/gs;
-    const matches = [...this.content.matchAll(interfaceRegex)];
-    if (matches.length === 0) return;
-
-    const lastMatch = matches[matches.length - 1];
-    const propsBody = lastMatch[3];
-    const lines = sanitizeLines(propsBody.replace(/},?$/, '').replace(/{/g, ''));
-
-    this.analysis.props = lines
-      .map(line => {
-        const clean = line.replace(/[,;]\s*$/, '');
-        const match = clean.match(/(\w+)(\?)?:\s*(.+)/);
-        if (!match) return null;
-        return {
-          name: match[1],
-          optional: Boolean(match[2]),
-          type: match[3].trim()
-        };
-      })
-      .filter(Boolean);
+    const resolved = path.resolve(baseDir, value);
+    if (kind && !fsSync.existsSync(resolved)) {
+      errors.push(`${where}: ${kind} not found at ${path.relative(process.cwd(), resolved)}`);
+    }
+    return resolved;
+  };
+
+  if (!isPlainObject(raw)) {
+    throw new Error(`Invalid config in ${configPath}: expected an object, got ${Array.isArray(raw) ? 'an array' : typeof raw}`);
+  }
+  checkKeys(raw, CONFIG_OPTIONS, '');
+  const config = {};
+
+  if (raw.components !== undefined) {
+    const roots = [].concat(raw.components);
+    if (!roots.length) errors.push('components must list at least one directory');
+    config.components = roots.map((root, i) => {
+      const where = `components[${i}]`;
+      const spec = typeof root === 'string' ? { dir: root } : root;
+      if (!isPlainObject(spec)) {
+        errors.push(`${where} must be a directory string or { dir, include, exclude }`);
+        return null;
+      }
+      checkKeys(spec, ['dir', 'include', 'exclude'], `${where}: `);
+      ['include', 'exclude'].forEach(key => {
+        if (spec[key] !== undefined && !isGlobList(spec[key])) errors.push(`${where}.${key} must be a glob string or an array of globs`);
+      });
+      return {
+        dir: checkPath(spec.dir, `${where}.dir`),
+        include: spec.include === undefined ? ['**/*.tsx'] : [].concat(spec.include),
+        exclude: spec.exclude === undefined ? [] : [].concat(spec.exclude)
+      };
+    });
   }
 
-  extractState() {
-    const stateRegex = /const\s+\[([^\]]+)\]\s*=\s*useState(?:<([^>]+)>)?\(([^)]*)\)/g;
-    let match;
-    while ((match = stateRegex.exec(this.content)) !== null) {
-      const varName = match[1].split(',')[0].trim();
-      this.analysis.state.push({
-        name: varName,
-        type: (match[2] || 'unknown').trim(),
-        initialValue: match[3].trim()
+  if (raw.types !== undefined) {
+    const types = [].concat(raw.types);
+    if (!types.length) errors.push('types must list at least one file');
+    config.types = types.map((file, i) => checkPath(file, `types[${i}]`, 'file'));
+  }
+
+  if (raw.schemas !== undefined) {
+    config.schemas = [].concat(raw.schemas).map((entry, i) => checkPath(entry, `schemas[${i}]`, 'file or directory'));
+  }
+  if (raw.data !== undefined) {
+    config.data = [].concat(raw.data).map((entry, i) => checkPath(entry, `data[${i}]`, 'file or directory'));
+  }
+  if (raw.routes !== undefined) config.routes = checkPath(raw.routes, 'routes');
+  if (raw.output !== undefined) config.output = checkPath(raw.output, 'output', null);
+  if (raw.templates !== undefined) config.templates = checkPath(raw.templates, 'templates');
+  if (raw.railsVersion !== undefined && !/^\d+\.\d+$/.test(String(raw.railsVersion))) {
+    errors.push(`railsVersion must look like "7.1", got ${JSON.stringify(raw.railsVersion)}`);
+  }
+
+  if (raw.naming !== undefined) {
+    if (!isPlainObject(raw.naming)) errors.push('naming must map React component names to overrides');
+    config.naming = {};
+    Object.entries(isPlainObject(raw.naming) ? raw.naming : {}).forEach(([name, value]) => {
+      const where = `naming.${name}`;
+      const override = typeof value === 'string' ? { component: value } : value;
+      if (!isPlainObject(override)) {
+        errors.push(`${where} must be a component name or { ${NAMING_OPTIONS.join(', ')} }`);
+        return;
+      }
+      checkKeys(override, NAMING_OPTIONS, `${where}: `);
+      if (override.component !== undefined && !/^[A-Z][A-Za-z0-9]*(::[A-Z][A-Za-z0-9]*)*$/.test(override.component)) {
+        errors.push(`${where}.component must be a PascalCase name (optionally Namespaced::Name), got ${JSON.stringify(override.component)}`);
+      }
+      ['bemBlock', 'stimulus'].forEach(key => {
+        if (override[key] !== undefined && !/^[a-z][a-z0-9-]*$/.test(override[key])) {
+          errors.push(`${where}.${key} must be kebab-case, got ${JSON.stringify(override[key])}`);
+        }
       });
-    }
+      config.naming[name] = override;
+    });
   }
 
-  extractHandlers() {
-    const handlerRegex = /const\s+(\w*[Hh]andle\w+)\s*=\s*(?:\([^)]*\)\s*=>\s*{|function\s*\([^)]*\)\s*{)/g;
-    let match;
-    while ((match = handlerRegex.exec(this.content)) !== null) {
-      this.analysis.handlers.push({
-        name: match[1],
-        type: this.inferHandlerType(match[1])
+  if (raw.generators !== undefined) {
+    if (!isPlainObject(raw.generators)) {
+      errors.push(`generators must be an object of on/off switches (${GENERATOR_SWITCHES.join(', ')})`);
+    } else {
+      checkKeys(raw.generators, GENERATOR_SWITCHES, 'generators: ');
+      Object.entries(raw.generators).forEach(([name, value]) => {
+        if (typeof value !== 'boolean') errors.push(`generators.${name} must be true or false`);
       });
+      config.generators = raw.generators;
     }
   }
 
-  inferHandlerType(handlerName) {
-    const lower = handlerName.toLowerCase();
-    if (lower.includes('click')) return 'click';
-    if (lower.includes('change')) return 'change';
-    if (lower.includes('submit')) return 'submit';
-    if (lower.includes('touch')) return 'touch';
-    if (lower.includes('drag')) return 'drag';
-    if (lower.includes('focus')) return 'focus';
-    if (lower.includes('blur')) return 'blur';
-    return 'custom';
+  if (raw.format !== undefined) {
+    if (!OUTPUT_FORMATS.includes(raw.format)) {
+      errors.push(`format must be one of ${OUTPUT_FORMATS.join(', ')}, got ${JSON.stringify(raw.format)}`);
+    }
+    config.format = raw.format;
   }
 
-  extractHooks() {
-    const hookRegex = /use([A-Z]\w+)\(/g;
-    let match;
-    while ((match = hookRegex.exec(this.content)) !== null) {
-      const hookName = `use${match[1]}`;
-      if (!isBuiltInHook(hookName)) {
-        this.analysis.hooks.push(hookName);
+  // Relative to the output directory, like every other generated path.
+  if (raw.phlex !== undefined) {
+    if (!isPlainObject(raw.phlex)) {
+      errors.push('phlex must be { directory }');
+    } else {
+      checkKeys(raw.phlex, ['directory'], 'phlex: ');
+      if (raw.phlex.directory !== undefined && (typeof raw.phlex.directory !== 'string' || !raw.phlex.directory)) {
+        errors.push('phlex.directory must be a non-empty path string');
       }
+      config.phlex = raw.phlex;
     }
   }
 
-  extractIcons() {
-    const iconImportMatch = this.content.match(/import\s+{([^}]+)}\s+from\s+['"]lucide-react['"]/);
-    if (iconImportMatch) {
-      this.analysis.icons = iconImportMatch[1].split(',').map(i => i.trim());
+  if (raw.icons !== undefined) {
+    if (!isPlainObject(raw.icons)) {
+      errors.push('icons must be { library, map, directory }');
+    } else {
+      checkKeys(raw.icons, ['library', 'map', 'directory'], 'icons: ');
+      config.icons = {};
+      if (raw.icons.library !== undefined) {
+        if (typeof raw.icons.library !== 'string' || !raw.icons.library) errors.push('icons.library must be a library name');
+        config.icons.library = raw.icons.library;
+      }
+      if (raw.icons.map !== undefined) {
+        if (!isPlainObject(raw.icons.map)) errors.push('icons.map must map lucide-react names to rails_icons names');
+        Object.entries(isPlainObject(raw.icons.map) ? raw.icons.map : {}).forEach(([name, value]) => {
+          if (value !== null && (typeof value !== 'string' || !value)) errors.push(`icons.map.${name} must be an icon name or null`);
+        });
+        config.icons.map = raw.icons.map;
+      }
+      if (raw.icons.directory !== undefined) config.icons.directory = checkPath(raw.icons.directory, 'icons.directory');
     }
   }
 
-  extractTailwindClasses() {
-    const classRegex = /className=["']([^"']+)["']/g;
-    let match;
-    const classSet = new Set();
-    while ((match = classRegex.exec(this.content)) !== null) {
-      match[1].split(/\s+/).forEach(cls => {
-        if (cls.trim()) classSet.add(cls.trim());
-      });
+  if (raw.tailwind !== undefined) {
+    if (!isPlainObject(raw.tailwind)) {
+      errors.push('tailwind must be { safelist }');
+    } else {
+      checkKeys(raw.tailwind, ['safelist'], 'tailwind: ');
+      const safelist = raw.tailwind.safelist;
+      if (safelist !== undefined && !(Array.isArray(safelist) && safelist.every(c => typeof c === 'string' || c instanceof RegExp))) {
+        errors.push('tailwind.safelist must be an array of class names or regular expressions');
+      }
+      config.tailwind = raw.tailwind;
     }
-    this.analysis.tailwindClasses = Array.from(classSet);
   }
 
-  extractChildComponents() {
-    const componentRegex = /<([A-Z][\w]*)\b/g;
-    let match;
-    const componentSet = new Set();
-    while ((match = componentRegex.exec(this.content)) !== null) {
-      componentSet.add(match[1]);
+  if (raw.rubyUi !== undefined) {
+    if (!isPlainObject(raw.rubyUi)) {
+      errors.push('rubyUi must be { module, components }');
+    } else {
+      checkKeys(raw.rubyUi, ['module', 'components'], 'rubyUi: ');
+      config.rubyUi = {};
+      if (raw.rubyUi.module !== undefined) {
+        if (typeof raw.rubyUi.module !== 'string' || !raw.rubyUi.module) errors.push('rubyUi.module must be an import path');
+        config.rubyUi.module = raw.rubyUi.module;
+      }
+      if (raw.rubyUi.components !== undefined) {
+        if (!isPlainObject(raw.rubyUi.components)) errors.push('rubyUi.components must map shadcn/ui names to RubyUI components');
+        Object.entries(isPlainObject(raw.rubyUi.components) ? raw.rubyUi.components : {}).forEach(([name, value]) => {
+          const where = `rubyUi.components.${name}`;
+          const isName = v => typeof v === 'string' && /^[A-Z][A-Za-z0-9]*$/.test(v);
+          if (value === null || isName(value)) return;
+          if (!isPlainObject(value)) {
+            errors.push(`${where} must be a RubyUI component name, { component, props, asChild } or null`);
+            return;
+          }
+          checkKeys(value, ['component', 'props', 'asChild'], `${where}: `);
+          if (value.component !== undefined && !isName(value.component)) {
+            errors.push(`${where}.component must be a PascalCase RubyUI name, got ${JSON.stringify(value.component)}`);
+          }
+          if (value.props !== undefined) {
+            const valid =
+              isPlainObject(value.props) &&
+              Object.values(value.props).every(
+                values => isPlainObject(values) && Object.values(values).every(v => v === null || typeof v === 'string')
+              );
+            if (!valid) errors.push(`${where}.props must map prop names to { reactValue: rubyValue | null }`);
+          }
+          if (value.asChild !== undefined && !(isPlainObject(value.asChild) && Object.values(value.asChild).every(isName))) {
+            errors.push(`${where}.asChild must map HTML tags to RubyUI component names`);
+          }
+        });
+        config.rubyUi.components = raw.rubyUi.components;
+      }
     }
-    this.analysis.childComponents = Array.from(componentSet);
   }
+
+  if (errors.length) {
+    throw new Error(`Invalid config in ${configPath}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+  if (raw.railsVersion !== undefined) config.railsVersion = String(raw.railsVersion);
+  return config;
+}
+
+function applyProjectConfig(config) {
+  if (config.components) CONFIG.paths.componentRoots = config.components;
+  if (config.types) CONFIG.paths.types = config.types;
+  if (config.schemas) CONFIG.paths.schemas = config.schemas;
+  if (config.data) CONFIG.paths.data = config.data;
+  if (config.routes) CONFIG.paths.routes = config.routes;
+  if (config.output) CONFIG.paths.output = outputPaths(config.output);
+  if (config.phlex && config.phlex.directory) {
+    CONFIG.paths.output.phlex = path.resolve(CONFIG.paths.output.base, config.phlex.directory);
+  }
+  if (config.templates) CONFIG.paths.templates = config.templates;
+  if (config.naming) CONFIG.naming = config.naming;
+  if (config.generators) Object.assign(CONFIG.generators, config.generators);
+  if (config.format) CONFIG.format = config.format;
+  if (config.icons) Object.assign(CONFIG.icons, config.icons);
+  if (config.tailwind) Object.assign(CONFIG.tailwind, config.tailwind);
+  if (config.rubyUi) Object.assign(CONFIG.rubyUi, config.rubyUi);
+  if (config.railsVersion) CONFIG.railsVersion = config.railsVersion;
 }
 
 // -----------------------------------------------------------------------------
-// ViewComponent Generator
+// TypeScript AST helpers
 // -----------------------------------------------------------------------------
 
-class ViewComponentGenerator {
-  constructor(analysis, rbTemplate, erbTemplate, cssTemplate) {
-    this.analysis = analysis;
-    this.rbTemplate = rbTemplate;
-    this.erbTemplate = erbTemplate;
-    this.cssTemplate = cssTemplate;
-  }
-
-  async generate() {
-    const bemBlock = toKebabCase(this.analysis.name);
-    const stimulusController = toKebabCase(this.analysis.name);
+let typescript = null;
 
-    return {
-      rb: this.generateRb(bemBlock),
-      erb: this.generateErb(bemBlock, stimulusController),
-      css: this.generateCss(bemBlock)
-    };
+// The compiler is resolved from the host React/Next project, which already
+// depends on it; it is only loaded once something needs to be parsed.
+function loadTypeScript() {
+  if (!typescript) {
+    try {
+      typescript = require('typescript');
+    } catch {
+      throw new Error('The "typescript" package is required to parse components (npm install --save-dev typescript)');
+    }
   }
+  return typescript;
+}
 
-  generateRb(bemBlock) {
+function parseSource(filePath, content) {
+  const ts = loadTypeScript();
+  const kind = filePath.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.TS;
+  return ts.createSourceFile(filePath, content, ts.ScriptTarget.Latest, true, kind);
+}
+
+function walk(node, visit) {
+  const ts = loadTypeScript();
+  visit(node);
+  ts.forEachChild(node, child => walk(child, visit));
+}
+
+// Returns `useState` for both `useState(...)` and `React.useState(...)`.
+function calleeName(call) {
+  const ts = loadTypeScript();
+  const callee = call.expression;
+  if (ts.isIdentifier(callee)) return callee.text;
+  if (ts.isPropertyAccessExpression(callee)) return callee.name.text;
+  return null;
+}
+
+function isHookCall(node, hookName) {
+  const ts = loadTypeScript();
+  return ts.isCallExpression(node) && calleeName(node) === hookName;
+}
+
+function typeLiteralMembers(typeNode) {
+  const ts = loadTypeScript();
+  if (!typeNode) return [];
+  if (ts.isTypeLiteralNode(typeNode)) return Array.from(typeNode.members);
+  if (ts.isParenthesizedTypeNode(typeNode)) return typeLiteralMembers(typeNode.type);
+  if (ts.isIntersectionTypeNode(typeNode)) return typeNode.types.flatMap(t => typeLiteralMembers(t));
+  return [];
+}
+
+// Converts an interface/type-literal member into the `{ name, optional, type }`
+// shape shared by props and model fields.
+function memberToField(member, sourceFile) {
+  const ts = loadTypeScript();
+  if (!member.name || !(ts.isPropertySignature(member) || ts.isMethodSignature(member))) return null;
+
+  let type = 'unknown';
+  if (ts.isMethodSignature(member)) {
+    const params = member.parameters.map(p => p.getText(sourceFile)).join(', ');
+    type = `(${params}) => ${member.type ? member.type.getText(sourceFile) : 'void'}`;
+  } else if (member.type) {
+    type = member.type.getText(sourceFile);
+  }
+
+  return {
+    name: member.name.getText(sourceFile).replace(/^['"]|['"]$/g, ''),
+    optional: Boolean(member.questionToken),
+    type: type.replace(/\s+/g, ' ').trim()
+  };
+}
+
+function parseExpression(text) {
+  const sourceFile = parseSource('expression.tsx', `(${text});`);
+  return unwrapParens(sourceFile.statements[0].expression);
+}
+
+// Source text of a node with its indentation removed, so it can be re-indented.
+function dedentedText(node, sourceFile) {
+  const column = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).character;
+  const [first, ...rest] = node.getText(sourceFile).split('\n');
+  return [first, ...rest.map(line => line.slice(Math.min(column, line.search(/\S|$/))))].join('\n');
+}
+
+// True for literals that read the same in JS and JSON-ish code: strings,
+// numbers, booleans and arrays/objects built only from them.
+function isLiteralExpression(node) {
+  const ts = loadTypeScript();
+  const expr = unwrapParens(node);
+  if (ts.isStringLiteral(expr) || ts.isNoSubstitutionTemplateLiteral(expr) || ts.isNumericLiteral(expr)) return true;
+  if (expr.kind === ts.SyntaxKind.TrueKeyword || expr.kind === ts.SyntaxKind.FalseKeyword) return true;
+  if (ts.isPrefixUnaryExpression(expr) && expr.operator === ts.SyntaxKind.MinusToken) return ts.isNumericLiteral(expr.operand);
+  if (ts.isArrayLiteralExpression(expr)) return expr.elements.every(isLiteralExpression);
+  if (ts.isObjectLiteralExpression(expr)) {
+    return expr.properties.every(p => ts.isPropertyAssignment(p) && isLiteralExpression(p.initializer));
+  }
+  return false;
+}
+
+function unwrapParens(node) {
+  const ts = loadTypeScript();
+  let current = node;
+  while (current && ts.isParenthesizedExpression(current)) current = current.expression;
+  return current;
+}
+
+// `x as T`, `<T>x` or `x satisfies T`.
+function isTypeAssertion(node) {
+  const ts = loadTypeScript();
+  return ts.isAsExpression(node) || ts.isTypeAssertionExpression(node) || Boolean(ts.isSatisfiesExpression && ts.isSatisfiesExpression(node));
+}
+
+function unwrapTypeAssertions(node) {
+  let expr = unwrapParens(node);
+  while (expr && isTypeAssertion(expr)) {
+    expr = unwrapParens(expr.expression);
+  }
+  return expr;
+}
+
+// `{ key: node }` for an object literal's plain properties (`active` shorthand is `active: active`).
+function objectProperties(node) {
+  const ts = loadTypeScript();
+  const expr = unwrapTypeAssertions(node);
+  if (!expr || !ts.isObjectLiteralExpression(expr)) return {};
+  return Object.fromEntries(
+    expr.properties
+      .filter(p => (ts.isPropertyAssignment(p) || ts.isShorthandPropertyAssignment(p) || ts.isMethodDeclaration(p)) && p.name)
+      .filter(p => ts.isIdentifier(p.name) || ts.isStringLiteral(p.name))
+      .map(p => [p.name.text, ts.isPropertyAssignment(p) ? p.initializer : p])
+  );
+}
+
+/**
+ * JS value of a literal expression (strings, numbers, booleans, null, arrays,
+ * objects, `new Date('...')` as its string), or undefined for anything else.
+ */
+function literalValue(node) {
+  const ts = loadTypeScript();
+  const expr = unwrapTypeAssertions(node);
+  if (ts.isStringLiteral(expr) || ts.isNoSubstitutionTemplateLiteral(expr)) return expr.text;
+  if (ts.isNumericLiteral(expr)) return Number(expr.text);
+  if (ts.isPrefixUnaryExpression(expr) && expr.operator === ts.SyntaxKind.MinusToken && ts.isNumericLiteral(expr.operand)) {
+    return -Number(expr.operand.text);
+  }
+  if (expr.kind === ts.SyntaxKind.TrueKeyword) return true;
+  if (expr.kind === ts.SyntaxKind.FalseKeyword) return false;
+  if (expr.kind === ts.SyntaxKind.NullKeyword) return null;
+  if (ts.isNewExpression(expr) && ts.isIdentifier(expr.expression) && expr.expression.text === 'Date') {
+    const [arg] = expr.arguments || [];
+    return arg && (ts.isStringLiteral(arg) || ts.isNoSubstitutionTemplateLiteral(arg)) ? arg.text : undefined;
+  }
+  if (ts.isArrayLiteralExpression(expr)) {
+    const values = expr.elements.map(literalValue);
+    return values.includes(undefined) ? undefined : values;
+  }
+  if (ts.isObjectLiteralExpression(expr)) {
+    const entries = expr.properties.map(p =>
+      ts.isPropertyAssignment(p) && (ts.isIdentifier(p.name) || ts.isStringLiteral(p.name)) ? [p.name.text, literalValue(p.initializer)] : null
+    );
+    return entries.some(e => !e || e[1] === undefined) ? undefined : Object.fromEntries(entries);
+  }
+  return undefined;
+}
+
+function isJsxNode(node) {
+  const ts = loadTypeScript();
+  return Boolean(node) && (ts.isJsxElement(node) || ts.isJsxSelfClosingElement(node) || ts.isJsxFragment(node));
+}
+
+function containsJsx(node) {
+  let found = false;
+  walk(node, child => {
+    if (isJsxNode(child)) found = true;
+  });
+  return found;
+}
+
+function parseTypeNode(text) {
+  const sourceFile = parseSource('type.ts', `type __Type = ${text};`);
+  const [alias] = sourceFile.statements;
+  return alias && alias.type ? alias.type : null;
+}
+
+/**
+ * Resolves a type node to the finite set of literal values it allows, or null.
+ * Handles `'a' | 'b'`, numeric literals, references to known domains (string
+ * unions, enums) and `(typeof VALUES)[number]` over an `as const` array.
+ * `null` / `undefined` members are ignored.
+ */
+function typeNodeValues(node, domains) {
+  const ts = loadTypeScript();
+  if (!node) return null;
+  if (ts.isParenthesizedTypeNode(node)) return typeNodeValues(node.type, domains);
+
+  if (ts.isUnionTypeNode(node)) {
+    const values = [];
+    for (const member of node.types) {
+      if (member.kind === ts.SyntaxKind.UndefinedKeyword) continue;
+      if (ts.isLiteralTypeNode(member) && member.literal.kind === ts.SyntaxKind.NullKeyword) continue;
+      const memberValues = typeNodeValues(member, domains);
+      if (!memberValues) return null;
+      values.push(...memberValues);
+    }
+    return values.length ? Array.from(new Set(values)) : null;
+  }
+
+  if (ts.isLiteralTypeNode(node)) {
+    if (ts.isStringLiteral(node.literal)) return [node.literal.text];
+    if (ts.isNumericLiteral(node.literal)) return [Number(node.literal.text)];
+    return null;
+  }
+
+  if (ts.isTypeReferenceNode(node)) return domains.get(node.typeName.getText()) || null;
+
+  if (
+    ts.isIndexedAccessTypeNode(node) &&
+    node.indexType.kind === ts.SyntaxKind.NumberKeyword &&
+    ts.isTypeQueryNode(unwrapParenType(node.objectType))
+  ) {
+    return domains.get(unwrapParenType(node.objectType).exprName.getText()) || null;
+  }
+
+  return null;
+}
+
+function unwrapParenType(node) {
+  const ts = loadTypeScript();
+  let current = node;
+  while (current && ts.isParenthesizedTypeNode(current)) current = current.type;
+  return current;
+}
+
+function literalUnionValues(typeText, domains = new Map()) {
+  return typeNodeValues(parseTypeNode(typeText), domains);
+}
+
+/**
+ * Collects the named value domains declared in a file: enums, `as const`
+ * arrays and type aliases that resolve to literal unions. Returns a Map of
+ * name → allowed values, merged into `domains` when one is given.
+ */
+function collectTypeDomains(sourceFile, domains = new Map()) {
+  const ts = loadTypeScript();
+  const aliases = [];
+
+  for (const statement of sourceFile.statements) {
+    if (ts.isEnumDeclaration(statement)) {
+      let next = 0;
+      const values = statement.members.map(member => {
+        const init = member.initializer;
+        if (init && ts.isStringLiteral(init)) return init.text;
+        if (init && ts.isNumericLiteral(init)) next = Number(init.text);
+        return next++;
+      });
+      domains.set(statement.name.text, values);
+    } else if (ts.isVariableStatement(statement)) {
+      statement.declarationList.declarations.forEach(decl => {
+        const init = decl.initializer;
+        if (!ts.isIdentifier(decl.name) || !init || !ts.isAsExpression(init)) return;
+        if (init.type.getText() !== 'const' || !ts.isArrayLiteralExpression(init.expression)) return;
+        const values = init.expression.elements.map(el => {
+          if (ts.isStringLiteral(el)) return el.text;
+          if (ts.isNumericLiteral(el)) return Number(el.text);
+          return undefined;
+        });
+        if (values.every(v => v !== undefined)) domains.set(decl.name.text, values);
+      });
+    } else if (ts.isTypeAliasDeclaration(statement)) {
+      aliases.push(statement);
+    }
+  }
+
+  // Aliases may refer to each other or to the enums/arrays above.
+  let resolved = true;
+  while (resolved) {
+    resolved = false;
+    aliases.forEach(alias => {
+      if (domains.has(alias.name.text)) return;
+      const values = typeNodeValues(alias.type, domains);
+      if (values) {
+        domains.set(alias.name.text, values);
+        resolved = true;
+      }
+    });
+  }
+
+  return domains;
+}
+
+// Reads `"foo"`, `{'foo'}` and `{`foo`}` JSX attribute values; returns null for
+// anything computed.
+function stringLiteralValue(initializer) {
+  const ts = loadTypeScript();
+  if (!initializer) return null;
+  if (ts.isStringLiteral(initializer)) return initializer.text;
+  if (ts.isJsxExpression(initializer) && initializer.expression) {
+    const expr = initializer.expression;
+    if (ts.isStringLiteral(expr) || ts.isNoSubstitutionTemplateLiteral(expr)) return expr.text;
+  }
+  return null;
+}
+
+// DOM event for a React event prop. React's onChange fires on every edit,
+// which is the DOM `input` event for text fields.
+function domEventName(reactEvent, tag, element) {
+  const event = reactEvent.slice(2).toLowerCase();
+  if (event === 'doubleclick') return 'dblclick';
+  if (event !== 'change') return event;
+  const typeAttr = element.attributes.properties.find(a => a.name && a.name.getText() === 'type');
+  const type = typeAttr ? stringLiteralValue(typeAttr.initializer) : null;
+  const textField = tag === 'textarea' || (tag === 'input' && !['checkbox', 'radio', 'file'].includes(type));
+  return textField ? 'input' : 'change';
+}
+
+// `event.key` values → Stimulus keyboard filter names.
+const STIMULUS_KEY_FILTERS = {
+  Enter: 'enter',
+  Tab: 'tab',
+  Escape: 'esc',
+  Esc: 'esc',
+  ' ': 'space',
+  Spacebar: 'space',
+  ArrowUp: 'up',
+  ArrowDown: 'down',
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+  Home: 'home',
+  End: 'end',
+  PageUp: 'page_up',
+  PageDown: 'page_down'
+};
+
+// Keys a handler compares `event.key` with (`e.key === 'Enter'`, `case 'Escape':`).
+function keyFilters(fn) {
+  const ts = loadTypeScript();
+  const keys = [];
+  const isKeyAccess = node => ts.isPropertyAccessExpression(node) && node.name.text === 'key';
+  const add = node => {
+    if (!node || !(ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node))) return;
+    const filter = STIMULUS_KEY_FILTERS[node.text] || (/^[a-z0-9]$/i.test(node.text) ? node.text.toLowerCase() : null);
+    if (filter && !keys.includes(filter)) keys.push(filter);
+  };
+
+  walk(fn, node => {
+    if (ts.isBinaryExpression(node) && ['===', '=='].includes(node.operatorToken.getText())) {
+      if (isKeyAccess(node.left)) add(node.right);
+      if (isKeyAccess(node.right)) add(node.left);
+    }
+    if (ts.isSwitchStatement(node) && isKeyAccess(node.expression)) {
+      node.caseBlock.clauses.forEach(clause => ts.isCaseClause(clause) && add(clause.expression));
+    }
+  });
+  return keys;
+}
+
+// -----------------------------------------------------------------------------
+// Type Resolver
+// -----------------------------------------------------------------------------
+
+const MODULE_EXTENSIONS = ['.ts', '.tsx', '.d.ts'];
+let moduleAliases = null;
+
+/**
+ * Import prefix → directory, from `compilerOptions.paths` in the project's
+ * tsconfig.json or jsconfig.json (`"@/*": ["./*"]` → `{ '@/': ROOT }`), so
+ * `@/types` resolves wherever the project points it. Without `paths`, `@/`
+ * maps to `src/` as in a default Next.js app. Longest prefixes come first.
+ */
+function getModuleAliases() {
+  if (moduleAliases) return moduleAliases;
+  const ts = loadTypeScript();
+  const configPath = ['tsconfig.json', 'jsconfig.json'].map(name => path.join(ROOT, name)).find(f => fsSync.existsSync(f));
+  const { config } = configPath ? ts.readConfigFile(configPath, ts.sys.readFile) : {};
+  const options = (config && config.compilerOptions) || {};
+  if (!options.paths) {
+    moduleAliases = { '@/': path.join(ROOT, 'src/') };
+    return moduleAliases;
+  }
+
+  const baseDir = path.resolve(path.dirname(configPath), options.baseUrl || '.');
+  const entries = Object.entries(options.paths)
+    .filter(([pattern, targets]) => /^[^*]+\*$/.test(pattern) && Array.isArray(targets) && /\*$/.test(targets[0] || ''))
+    .map(([pattern, [target]]) => [pattern.slice(0, -1), path.join(baseDir, target.slice(0, -1))]);
+  moduleAliases = Object.fromEntries(entries.sort(([a], [b]) => b.length - a.length));
+  return moduleAliases;
+}
+const FIELD_UTILITY_TYPES = new Set(['Partial', 'Required', 'Readonly', 'Pick', 'Omit']);
+
+/**
+ * Follows imports and re-exports between TS files and flattens object types
+ * (`extends`, `A & B`, `Pick`/`Omit`/`Partial`/`Required`/`Readonly`) into
+ * `{ name, optional, type }` field lists. Every type it cannot find or expand
+ * is recorded in `unresolved` instead of throwing.
+ */
+class TypeResolver {
+  constructor() {
+    this.files = new Map();
+    this.typeFiles = [];
+    this.typeDomains = new Map();
+    this.unresolved = [];
+  }
+
+  async load(filePath) {
+    const resolved = path.resolve(filePath);
+    if (this.files.has(resolved)) return this.files.get(resolved);
+
+    const ts = loadTypeScript();
+    const sourceFile = parseSource(resolved, await fs.readFile(resolved, 'utf-8'));
+    const entry = {
+      path: resolved,
+      sourceFile,
+      declarations: new Map(),
+      exported: new Set(),
+      localExports: new Map(),
+      imports: new Map(),
+      reexports: []
+    };
+
+    for (const statement of sourceFile.statements) {
+      if (
+        ts.isInterfaceDeclaration(statement) ||
+        ts.isTypeAliasDeclaration(statement) ||
+        ts.isEnumDeclaration(statement) ||
+        ts.isClassDeclaration(statement)
+      ) {
+        if (!statement.name) continue;
+        const name = statement.name.text;
+        entry.declarations.set(name, [...(entry.declarations.get(name) || []), statement]);
+        const modifiers = ts.getModifiers(statement) || [];
+        if (modifiers.some(m => m.kind === ts.SyntaxKind.ExportKeyword)) entry.exported.add(name);
+      } else if (ts.isImportDeclaration(statement) && statement.importClause) {
+        const specifier = statement.moduleSpecifier.text;
+        const { name, namedBindings } = statement.importClause;
+        if (name) entry.imports.set(name.text, { specifier, name: 'default' });
+        if (namedBindings && ts.isNamedImports(namedBindings)) {
+          namedBindings.elements.forEach(el => {
+            entry.imports.set(el.name.text, { specifier, name: (el.propertyName || el.name).text });
+          });
+        }
+      } else if (ts.isExportDeclaration(statement)) {
+        const specifier = statement.moduleSpecifier ? statement.moduleSpecifier.text : null;
+        if (!statement.exportClause) {
+          if (specifier) entry.reexports.push({ specifier, all: true });
+        } else if (ts.isNamedExports(statement.exportClause)) {
+          statement.exportClause.elements.forEach(el => {
+            const local = (el.propertyName || el.name).text;
+            if (specifier) entry.reexports.push({ specifier, name: el.name.text, imported: local });
+            else entry.localExports.set(el.name.text, local);
+          });
+        }
+      }
+    }
+
+    this.files.set(resolved, entry);
+    return entry;
+  }
+
+  forget(filePath) {
+    this.files.delete(path.resolve(filePath));
+  }
+
+  // Local files a file imports or re-exports from, directly or through other files.
+  async dependencies(filePath) {
+    const found = new Set();
+    const visit = async file => {
+      const entry = await this.load(file);
+      const specifiers = new Set([...Array.from(entry.imports.values(), i => i.specifier), ...entry.reexports.map(r => r.specifier)]);
+      for (const specifier of specifiers) {
+        const target = await this.resolveModule(entry.path, specifier);
+        if (!target || found.has(target)) continue;
+        found.add(target);
+        await visit(target);
+      }
+    };
+    await visit(filePath);
+    return found;
+  }
+
+  /**
+   * Loads the types entry file and every TS file beside it (recursively), and
+   * collects their enums/unions/const arrays as shared value domains.
+   */
+  async loadTypeFiles(entryPaths) {
+    const files = [];
+    for (const entryPath of entryPaths) {
+      const stat = await fs.stat(entryPath);
+      const dir = stat.isDirectory() ? entryPath : path.dirname(entryPath);
+      if (!stat.isDirectory() && !files.includes(path.resolve(entryPath))) files.push(path.resolve(entryPath));
+      for (const file of await listFiles(dir, f => /\.tsx?$/.test(f))) {
+        if (!files.includes(file)) files.push(file);
+      }
+    }
+
+    for (const file of files) {
+      const entry = await this.load(file);
+      collectTypeDomains(entry.sourceFile, this.typeDomains);
+    }
+    this.typeFiles = files;
+    return files;
+  }
+
+  domainsFor(sourceFile) {
+    return collectTypeDomains(sourceFile, new Map(this.typeDomains));
+  }
+
+  async resolveModule(fromPath, specifier) {
+    let base;
+    if (specifier.startsWith('.')) {
+      base = path.resolve(path.dirname(fromPath), specifier);
+    } else {
+      const aliases = getModuleAliases();
+      const alias = Object.keys(aliases).find(a => specifier.startsWith(a));
+      if (!alias) return null;
+      base = path.join(aliases[alias], specifier.slice(alias.length));
+    }
+
+    const candidates = [
+      base,
+      ...MODULE_EXTENSIONS.map(ext => `${base}${ext}`),
+      ...MODULE_EXTENSIONS.map(ext => path.join(base, `index${ext}`))
+    ];
+    for (const candidate of candidates) {
+      try {
+        if ((await fs.stat(candidate)).isFile()) return candidate;
+      } catch {
+        // try the next candidate
+      }
+    }
+    return null;
+  }
+
+  // Finds the declaration a name refers to inside a file (local or imported).
+  async lookup(filePath, name, seen = new Set()) {
+    const key = `${filePath}#${name}`;
+    if (seen.has(key)) return null;
+    seen.add(key);
+
+    const entry = await this.load(filePath);
+    if (entry.declarations.has(name)) return { nodes: entry.declarations.get(name), entry };
+
+    const imported = entry.imports.get(name);
+    if (!imported) return null;
+    const target = await this.resolveModule(entry.path, imported.specifier);
+    return target ? this.lookupExport(target, imported.name, seen) : null;
+  }
+
+  // Finds what a module exports under `exportedName`, following re-exports.
+  async lookupExport(filePath, exportedName, seen = new Set()) {
+    const entry = await this.load(filePath);
+    const local = entry.localExports.get(exportedName);
+    if (local) return this.lookup(filePath, local, seen);
+    if (entry.exported.has(exportedName)) return this.lookup(filePath, exportedName, seen);
+
+    for (const reexport of entry.reexports) {
+      if (!reexport.all && reexport.name !== exportedName) continue;
+      const target = await this.resolveModule(entry.path, reexport.specifier);
+      if (!target) continue;
+      const found = await this.lookupExport(target, reexport.all ? exportedName : reexport.imported, seen);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  report(name, entry) {
+    const file = path.relative(ROOT, entry.path);
+    if (!this.unresolved.some(u => u.name === name && u.file === file)) {
+      this.unresolved.push({ name, file });
+    }
+  }
+
+  async resolveFields(typeNode, entry) {
+    const ts = loadTypeScript();
+    if (ts.isParenthesizedTypeNode(typeNode)) return this.resolveFields(typeNode.type, entry);
+    if (ts.isTypeLiteralNode(typeNode)) {
+      return typeNode.members.map(m => memberToField(m, entry.sourceFile)).filter(Boolean);
+    }
+    if (ts.isIntersectionTypeNode(typeNode)) {
+      const parts = [];
+      for (const part of typeNode.types) parts.push(await this.resolveFields(part, entry));
+      return mergeFields(parts);
+    }
+    if (ts.isTypeReferenceNode(typeNode)) {
+      return this.resolveReference(typeNode.typeName.getText(), typeNode.typeArguments || [], entry);
+    }
+    this.report(typeNode.getText(), entry);
+    return [];
+  }
+
+  async resolveReference(name, typeArgs, entry) {
+    if (FIELD_UTILITY_TYPES.has(name) && typeArgs.length) {
+      const fields = await this.resolveFields(typeArgs[0], entry);
+      if (name === 'Partial') return fields.map(f => ({ ...f, optional: true }));
+      if (name === 'Required') return fields.map(f => ({ ...f, optional: false }));
+      if (name === 'Readonly') return fields;
+
+      const keys = typeArgs[1] ? typeNodeValues(typeArgs[1], this.domainsFor(entry.sourceFile)) : null;
+      if (!keys) {
+        this.report(`${name}<...>`, entry);
+        return fields;
+      }
+      return fields.filter(f => (name === 'Pick' ? keys.includes(f.name) : !keys.includes(f.name)));
+    }
+
+    // cva's VariantProps<typeof x>: the analyzer reads the variants from the cva() call itself.
+    if (name === 'VariantProps') return [];
+
+    const found = await this.lookup(entry.path, name);
+    if (!found) {
+      this.report(name, entry);
+      return [];
+    }
+    return this.declarationFields(found.nodes, found.entry);
+  }
+
+  // Interface fields include everything they extend; own members win.
+  async declarationFields(nodes, entry) {
+    const ts = loadTypeScript();
+    const parts = [];
+    for (const node of nodes) {
+      if (ts.isInterfaceDeclaration(node)) {
+        for (const clause of node.heritageClauses || []) {
+          for (const heritage of clause.types) {
+            parts.push(await this.resolveReference(heritage.expression.getText(), heritage.typeArguments || [], entry));
+          }
+        }
+        parts.push(node.members.map(m => memberToField(m, entry.sourceFile)).filter(Boolean));
+      } else if (ts.isTypeAliasDeclaration(node)) {
+        parts.push(await this.resolveFields(node.type, entry));
+      } else {
+        this.report(node.name.text, entry);
+      }
+    }
+    return mergeFields(parts);
+  }
+
+  /**
+   * Every exported interface, and every exported type alias that describes an
+   * object, across the loaded type files. Returns `[{ name, fields, sourcePath }]`.
+   * Views of another type (`Pick<Post, ...>`, `Partial<Post> & {...}`) are not
+   * data, and interfaces that are only extended (`Timestamped`) are mixins
+   * whose fields are already folded into the interfaces extending them.
+   */
+  async collectEntities() {
+    const ts = loadTypeScript();
+    const candidates = [];
+    const seen = new Set();
+    const extended = new Set();
+
+    for (const file of this.typeFiles) {
+      const entry = await this.load(file);
+      for (const [name, nodes] of entry.declarations) {
+        nodes
+          .filter(n => ts.isInterfaceDeclaration(n) && n.heritageClauses)
+          .forEach(n => n.heritageClauses.forEach(clause => clause.types.forEach(t => extended.add(t.expression.getText()))));
+        if (!entry.exported.has(name) || seen.has(name)) continue;
+        const objectLike = nodes.every(
+          n =>
+            ts.isInterfaceDeclaration(n) ||
+            (ts.isTypeAliasDeclaration(n) && isObjectTypeNode(n.type) && !usesUtilityType(n.type))
+        );
+        if (!objectLike) continue;
+        seen.add(name);
+        candidates.push({
+          name,
+          fields: await this.declarationFields(nodes, entry),
+          sourcePath: path.relative(ROOT, entry.path)
+        });
+      }
+    }
+
+    // An extended interface is still an entity when another entity has a field of its type.
+    const referenced = name => candidates.some(c => c.fields.some(f => new RegExp(`\\b${name}\\b`).test(f.type)));
+    return candidates.filter(c => !extended.has(c.name) || referenced(c.name));
+  }
+}
+
+function usesUtilityType(node) {
+  const ts = loadTypeScript();
+  let found = false;
+  walk(node, child => {
+    if (ts.isTypeReferenceNode(child) && FIELD_UTILITY_TYPES.has(child.typeName.getText())) found = true;
+  });
+  return found;
+}
+
+function isObjectTypeNode(node) {
+  const ts = loadTypeScript();
+  if (ts.isParenthesizedTypeNode(node)) return isObjectTypeNode(node.type);
+  if (ts.isTypeLiteralNode(node)) return true;
+  if (ts.isIntersectionTypeNode(node)) return node.types.some(isObjectTypeNode) || node.types.every(ts.isTypeReferenceNode);
+  if (ts.isTypeReferenceNode(node)) return FIELD_UTILITY_TYPES.has(node.typeName.getText());
+  return false;
+}
+
+function mergeFields(parts) {
+  const byName = new Map();
+  parts.flat().forEach(field => byName.set(field.name, field));
+  return Array.from(byName.values());
+}
+
+// -----------------------------------------------------------------------------
+// Zod Schemas
+// -----------------------------------------------------------------------------
+
+const ZOD_OPTIONAL_METHODS = new Set(['optional', 'nullable', 'nullish', 'default', 'catch']);
+// Suffixes stripped from schema and form type names to find their model: `userSchema`, `UserFormValues` → User.
+const MODEL_NAME_SUFFIX = /(Schema|FormValues|FormData|FormInput|Form|Values|Input|Data)$/;
+
+// Directories and files searched for schemas: CONFIG.paths.schemas plus the type files.
+async function schemaFiles(resolver) {
+  const files = await sourceFilesIn(CONFIG.paths.schemas);
+  (resolver.typeFiles || []).forEach(file => files.includes(file) || files.push(file));
+  return files;
+}
+
+// Model a schema or form type is named after, or null: `createUserSchema` → User.
+function modelNameFor(name, modelNames) {
+  const base = toPascalCase(name.replace(MODEL_NAME_SUFFIX, ''));
+  const candidates = [base, base.replace(/^(Create|New|Update|Edit)(?=[A-Z])/, '')];
+  return candidates.find(candidate => modelNames.includes(candidate)) || null;
+}
+
+// `z.string().min(3).optional()` → { base: 'string', args, methods: [{ name: 'min', args }, { name: 'optional', args }] }.
+function zodChain(expr) {
+  const ts = loadTypeScript();
+  const methods = [];
+  let node = unwrapParens(expr);
+  while (ts.isCallExpression(node) && ts.isPropertyAccessExpression(node.expression)) {
+    const target = node.expression.expression;
+    if (/^z(\.coerce)?$/.test(target.getText())) {
+      return { base: node.expression.name.text, args: Array.from(node.arguments), methods: methods.reverse() };
+    }
+    methods.push({ name: node.expression.name.text, args: Array.from(node.arguments) });
+    node = target;
+  }
+  return null;
+}
+
+function numericArgument(node) {
+  const ts = loadTypeScript();
+  const expr = node && unwrapParens(node);
+  if (!expr) return null;
+  if (ts.isNumericLiteral(expr)) return Number(expr.text);
+  if (ts.isPrefixUnaryExpression(expr) && expr.operator === ts.SyntaxKind.MinusToken && ts.isNumericLiteral(expr.operand)) {
+    return -Number(expr.operand.text);
+  }
+  return null;
+}
+
+// `/^[a-z-]+$/i` → `/\A[a-z-]+\z/i`; Rails rejects `^` and `$` in format validators.
+function rubyRegexp(literal) {
+  const match = literal.match(/^\/(.*)\/([a-z]*)$/s);
+  if (!match) return null;
+  const source = match[1].replace(/^\^/, '\\A').replace(/(^|[^\\])\$$/, '$1\\z');
+  return `/${source}/${match[2].replace(/[^imx]/g, '')}`;
+}
+
+/**
+ * Model validations for a Zod field, in the shapes ModelGenerator formats:
+ * presence, email, url, length, format, numericality and inclusion.
+ */
+function zodValidations(field, chain) {
+  const ts = loadTypeScript();
+  const optional = chain.methods.some(m => ZOD_OPTIONAL_METHODS.has(m.name));
+  const validations = [];
+  const length = {};
+  const numericality = [];
+  let present = false;
+
+  if (chain.base === 'enum' && chain.args[0] && ts.isArrayLiteralExpression(chain.args[0])) {
+    const values = chain.args[0].elements.filter(e => ts.isStringLiteral(e)).map(e => e.text);
+    if (values.length) validations.push({ type: 'inclusion', field, values, optional });
+  }
+  if (chain.base === 'boolean' && !optional) validations.push({ type: 'inclusion', field, values: [true, false], optional });
+
+  chain.methods.forEach(({ name, args }) => {
+    const n = numericArgument(args[0]);
+    if (chain.base === 'number') {
+      if (name === 'int') numericality.push(['only_integer', 'true']);
+      else if (name === 'positive') numericality.push(['greater_than', '0']);
+      else if (name === 'nonnegative') numericality.push(['greater_than_or_equal_to', '0']);
+      else if (name === 'negative') numericality.push(['less_than', '0']);
+      else if (name === 'nonpositive') numericality.push(['less_than_or_equal_to', '0']);
+      else if ((name === 'min' || name === 'gte') && n !== null) numericality.push(['greater_than_or_equal_to', String(n)]);
+      else if ((name === 'max' || name === 'lte') && n !== null) numericality.push(['less_than_or_equal_to', String(n)]);
+      else if (name === 'gt' && n !== null) numericality.push(['greater_than', String(n)]);
+      else if (name === 'lt' && n !== null) numericality.push(['less_than', String(n)]);
+      return;
+    }
+    if (name === 'nonempty' || (name === 'min' && n === 1)) present = true;
+    else if (name === 'min' && n !== null) length.minimum = n;
+    else if (name === 'max' && n !== null) length.maximum = n;
+    else if (name === 'length' && n !== null) length.is = n;
+    else if (name === 'email' || name === 'url') validations.push({ type: name, field, optional });
+    else if (name === 'regex' && args[0] && ts.isRegularExpressionLiteral(args[0])) {
+      const pattern = rubyRegexp(args[0].text);
+      if (pattern) validations.push({ type: 'format', field, pattern, optional });
+    }
+  });
+
+  if (!optional && chain.base !== 'boolean') validations.unshift({ type: 'presence', field });
+  else if (present) validations.unshift({ type: 'presence', field });
+  if (Object.keys(length).length) validations.push({ type: 'length', field, ...length, optional });
+  if (numericality.length || chain.base === 'number') {
+    validations.push({ type: 'numericality', field, options: numericality, optional });
+  }
+  return validations;
+}
+
+/**
+ * Exported `z.object({...})` schemas in the given files, as
+ * `[{ name, filePath, fields: [{ name, chain }] }]`.
+ */
+async function readZodSchemas(files, resolver) {
+  const ts = loadTypeScript();
+  const schemas = [];
+  for (const file of files) {
+    const { sourceFile } = await resolver.load(file);
+    sourceFile.statements.forEach(statement => {
+      if (!ts.isVariableStatement(statement)) return;
+      const modifiers = ts.getModifiers(statement) || [];
+      if (!modifiers.some(m => m.kind === ts.SyntaxKind.ExportKeyword)) return;
+      statement.declarationList.declarations.forEach(decl => {
+        const chain = ts.isIdentifier(decl.name) && decl.initializer ? zodChain(decl.initializer) : null;
+        const shape = chain && chain.base === 'object' && chain.args[0];
+        if (!shape || !ts.isObjectLiteralExpression(shape)) return;
+        const fields = shape.properties
+          .filter(p => ts.isPropertyAssignment(p) && (ts.isIdentifier(p.name) || ts.isStringLiteral(p.name)))
+          .map(p => ({ name: p.name.text, chain: zodChain(p.initializer) }))
+          .filter(f => f.chain);
+        schemas.push({ name: decl.name.text, filePath: path.relative(ROOT, file), fields });
+      });
+    });
+  }
+  return schemas;
+}
+
+// The schema a model's validations come from; `userSchema` wins over `createUserSchema`.
+function zodSchemaForModel(modelName, schemas) {
+  return schemas
+    .filter(schema => modelNameFor(schema.name, [modelName]))
+    .sort((a, b) => a.name.length - b.name.length)[0] || null;
+}
+
+// -----------------------------------------------------------------------------
+// Component Analyzer
+// -----------------------------------------------------------------------------
+
+class ComponentAnalyzer {
+  // `componentName` names components outside the component roots (Next.js pages).
+  constructor(filePath, resolver = new TypeResolver(), { componentName = null } = {}) {
+    this.filePath = filePath;
+    this.componentName = componentName;
+    this.content = '';
+    this.sourceFile = null;
+    this.resolver = resolver;
+    this.analysis = {
+      name: '',
+      props: [],
+      state: [],
+      refs: [],
+      effects: [],
+      handlers: [],
+      actions: [],
+      hooks: [],
+      childComponents: [],
+      icons: [],
+      // local import name → { lucide, rails } (rails is null when there is no equivalent)
+      iconMap: {},
+      // local import name → { primitive, rubyUi } for shadcn/ui imports (rubyUi is null when unmapped)
+      uiComponents: {},
+      // `<form onSubmit>`: { model, record, fields, errors } (see extractForm), or null
+      form: null,
+      // cva() definitions by variable name (see readCva); their variants are also props
+      variants: {},
+      tailwindClasses: [],
+      exports: { type: 'default', name: '' },
+      propsParam: null,
+      jsx: null
+    };
+  }
+
+  async analyze() {
+    this.entry = await this.resolver.load(this.filePath);
+    this.sourceFile = this.entry.sourceFile;
+    this.content = this.sourceFile.text;
+    this.extractComponentName();
+    this.analysis.componentName = this.componentName || componentNameFor(path.resolve(this.filePath)) || this.analysis.name;
+    this.extractPropsParam();
+    this.extractUiComponents();
+    await this.extractProps();
+    this.extractVariants();
+    this.extractSlots();
+    this.extractState();
+    this.extractHandlers();
+    this.extractEventBindings();
+    await this.extractForm();
+    this.extractHooks();
+    this.extractRefs();
+    this.extractEffects();
+    this.extractIcons();
+    this.extractTailwindClasses();
+    this.extractChildComponents();
+    await this.extractComponentImports();
+    this.extractJsx();
+    return this.analysis;
+  }
+
+  setExport(name, type) {
+    this.analysis.name = name;
+    this.analysis.exports.type = type;
+    this.analysis.exports.name = name;
+  }
+
+  // Without a default export, the component is the PascalCase export that
+  // renders JSX: shadcn-style files export `pillVariants = cva(...)` before
+  // `Pill = React.forwardRef(...)`. Failing that, the export named after the file.
+  extractComponentName() {
+    const ts = loadTypeScript();
+    const named = [];
+
+    for (const statement of this.sourceFile.statements) {
+      const modifiers = ts.canHaveModifiers(statement) ? ts.getModifiers(statement) || [] : [];
+      const isExported = modifiers.some(m => m.kind === ts.SyntaxKind.ExportKeyword);
+      const isDefault = modifiers.some(m => m.kind === ts.SyntaxKind.DefaultKeyword);
+
+      if (
+        (ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)) &&
+        isExported &&
+        statement.name
+      ) {
+        if (isDefault) return this.setExport(statement.name.text, 'default');
+        named.push(statement.name.text);
+      } else if (ts.isVariableStatement(statement) && isExported) {
+        statement.declarationList.declarations.filter(d => ts.isIdentifier(d.name)).forEach(d => named.push(d.name.text));
+      } else if (ts.isExportAssignment(statement) && ts.isIdentifier(statement.expression)) {
+        return this.setExport(statement.expression.text, 'default');
+      } else if (ts.isExportDeclaration(statement) && statement.exportClause && ts.isNamedExports(statement.exportClause)) {
+        const asDefault = statement.exportClause.elements.find(e => e.name.text === 'default');
+        if (asDefault && asDefault.propertyName) {
+          return this.setExport(asDefault.propertyName.text, 'default');
+        }
+        // `export { Pill, pillVariants }` after the declarations
+        if (!statement.moduleSpecifier) statement.exportClause.elements.forEach(e => named.push((e.propertyName || e.name).text));
+      }
+    }
+
+    if (!named.length) return;
+    const baseName = toPascalCase(path.basename(this.filePath).replace(/\.[jt]sx?$/, ''));
+    const rendersJsx = name => {
+      const fn = this.findComponentFunction(name);
+      return Boolean(fn) && containsJsx(fn);
+    };
+    const component =
+      named.find(name => /^[A-Z]/.test(name) && rendersJsx(name)) || named.find(name => toPascalCase(name) === baseName) || baseName;
+    this.setExport(component, 'named');
+  }
+
+  // Props come from the component's parameter annotation (`({ ... }: Props)`
+  // or `FC<Props>`), falling back to a `*Props` declaration in the file. The
+  // type is flattened through imports, `extends` and utility types.
+  async extractProps() {
+    const ts = loadTypeScript();
+    let fields = null;
+
+    const typeNode = this.propsTypeNode();
+    if (typeNode) {
+      fields = await this.resolver.resolveFields(typeNode, this.entry);
+    } else {
+      const candidates = this.sourceFile.statements.filter(
+        s => (ts.isInterfaceDeclaration(s) || ts.isTypeAliasDeclaration(s)) && /Props$/.test(s.name.text)
+      );
+      if (candidates.length === 0) return;
+      const preferred =
+        candidates.find(s => s.name.text === `${this.analysis.name}Props`) || candidates[candidates.length - 1];
+      fields = await this.resolver.declarationFields([preferred], this.entry);
+    }
+
+    const domains = this.resolver.domainsFor(this.sourceFile);
+    const defaults = this.destructuringDefaults();
+    this.analysis.props = this.expandRouteParams(fields).map(prop => {
+      const values = literalUnionValues(prop.type, domains);
+      return prop.name in defaults ? { ...prop, values, default: defaults[prop.name] } : { ...prop, values };
+    });
+  }
+
+  // Next's `params: { id: string }` becomes one prop per route segment
+  // (`routeParam`), so the Rails component takes `id:` instead of a `params`
+  // argument that would shadow the controller helper. Kept as is when the
+  // type is not a literal or a segment clashes with another prop.
+  expandRouteParams(fields) {
+    return fields.flatMap(field => {
+      if (field.name !== 'params') return [field];
+      const type = stripNullable(field.type).type.replace(/^Promise<([\s\S]*)>$/, '$1');
+      const segments = typeLiteralMembers(parseTypeNode(type))
+        .map(member => memberToField(member, member.getSourceFile()))
+        .filter(Boolean);
+      if (!segments.length || segments.some(segment => fields.some(f => f.name === segment.name))) return [field];
+      return segments.map(segment => ({ ...segment, routeParam: true }));
+    });
+  }
+
+  // Literal defaults from the parameter pattern (`({ count = 0, size = 'md' })`).
+  // Computed defaults are skipped; the prop stays `nil` in Ruby.
+  destructuringDefaults() {
+    const ts = loadTypeScript();
+    const fn = this.findComponentFunction();
+    const [param] = fn ? fn.parameters : [];
+    const defaults = {};
+    if (!param || !ts.isObjectBindingPattern(param.name)) return defaults;
+    param.name.elements.forEach(element => {
+      const key = element.propertyName || element.name;
+      if (!element.initializer || !ts.isIdentifier(key)) return;
+      const value = literalValue(element.initializer);
+      if (value !== undefined) defaults[key.text] = value;
+    });
+    return defaults;
+  }
+
+  // Each cva() variant becomes a prop limited to its options, defaulting to
+  // `defaultVariants`; a prop of the same name in the interface is kept.
+  extractVariants() {
+    const ts = loadTypeScript();
+    walk(this.sourceFile, node => {
+      if (!ts.isVariableDeclaration(node) || !ts.isIdentifier(node.name) || !node.initializer) return;
+      const init = unwrapTypeAssertions(node.initializer);
+      if (ts.isCallExpression(init) && calleeName(init) === 'cva') this.analysis.variants[node.name.text] = readCva(init);
+    });
+
+    Object.values(this.analysis.variants).forEach(({ variants }) => {
+      variants.forEach(variant => {
+        const values = variant.boolean ? null : variant.options.map(o => o.value);
+        const prop = this.analysis.props.find(p => p.name === variant.name);
+        if (prop) {
+          // A destructuring default overrides `defaultVariants` in React too.
+          const fallback = prop.default !== undefined ? prop.default : variant.default;
+          Object.assign(prop, { values: prop.values || values, default: fallback, variant: true });
+        } else {
+          const type = variant.boolean ? 'boolean' : values.map(v => `'${v}'`).join(' | ');
+          this.analysis.props.push({ name: variant.name, optional: true, type, values, default: variant.default, variant: true });
+        }
+      });
+    });
+  }
+
+  propsTypeNode() {
+    const ts = loadTypeScript();
+    const fn = this.findComponentFunction();
+    if (!fn) return null;
+    const [param] = fn.parameters;
+    if (param && param.type) return param.type;
+
+    let node = fn.parent;
+    while (node && ts.isCallExpression(node)) node = node.parent;
+    if (node && ts.isVariableDeclaration(node) && node.type && ts.isTypeReferenceNode(node.type)) {
+      const [propsType] = node.type.typeArguments || [];
+      return propsType || null;
+    }
+    return null;
+  }
+
+  extractState() {
+    const ts = loadTypeScript();
+    walk(this.sourceFile, node => {
+      if (!ts.isVariableDeclaration(node) || !ts.isArrayBindingPattern(node.name)) return;
+      if (!node.initializer || !isHookCall(node.initializer, 'useState')) return;
+
+      const [first] = node.name.elements;
+      if (!first || !ts.isBindingElement(first) || !ts.isIdentifier(first.name)) return;
+
+      const call = node.initializer;
+      const [typeArg] = call.typeArguments || [];
+      const [initial] = call.arguments;
+      this.analysis.state.push({
+        name: first.name.text,
+        type: typeArg ? typeArg.getText(this.sourceFile) : 'unknown',
+        initialValue: initial ? initial.getText(this.sourceFile) : ''
+      });
+    });
+  }
+
+  extractHandlers() {
+    const ts = loadTypeScript();
+    const handlerName = /^\w*[Hh]andle\w+$/;
+    const seen = new Set();
+    // `source` is the whole declaration, quoted in the Stimulus action method.
+    const add = (name, declaration) => {
+      if (!handlerName.test(name) || seen.has(name)) return;
+      seen.add(name);
+      this.analysis.handlers.push({ name, type: this.inferHandlerType(name), source: dedentedText(declaration, this.sourceFile) });
+    };
+
+    walk(this.sourceFile, node => {
+      if (ts.isFunctionDeclaration(node) && node.name) {
+        add(node.name.text, node);
+      } else if (ts.isVariableDeclaration(node) && ts.isIdentifier(node.name) && node.initializer) {
+        let init = node.initializer;
+        if (isHookCall(init, 'useCallback') && init.arguments.length) init = init.arguments[0];
+        const statement = node.parent.parent && ts.isVariableStatement(node.parent.parent) ? node.parent.parent : node;
+        if (ts.isArrowFunction(init) || ts.isFunctionExpression(init)) add(node.name.text, statement);
+      }
+    });
+  }
+
+  /**
+   * Records each `on*` prop on an HTML element or shadcn/ui primitive as a
+   * Stimulus action: the DOM event, the element, the controller method it
+   * calls and, for keyboard events, the keys the handler checks. Inline arrow
+   * functions that do more than call a handler become handlers of their own
+   * (`handleButtonClick`).
+   */
+  extractEventBindings() {
+    const ts = loadTypeScript();
+    const functions = new Map();
+    walk(this.sourceFile, node => {
+      if (ts.isFunctionDeclaration(node) && node.name) functions.set(node.name.text, node);
+      if (ts.isVariableDeclaration(node) && ts.isIdentifier(node.name) && node.initializer) {
+        let init = node.initializer;
+        if (isHookCall(init, 'useCallback') && init.arguments.length) init = init.arguments[0];
+        if (ts.isArrowFunction(init) || ts.isFunctionExpression(init)) functions.set(node.name.text, init);
+      }
+    });
+    const propName = expr => {
+      if (ts.isIdentifier(expr)) return expr.text;
+      const fromProps =
+        ts.isPropertyAccessExpression(expr) && ts.isIdentifier(expr.expression) && expr.expression.text === this.analysis.propsParam;
+      return fromProps ? expr.name.text : null;
+    };
+
+    walk(this.sourceFile, node => {
+      if (!ts.isJsxAttribute(node) || !node.initializer || !node.initializer.expression) return;
+      const reactEvent = node.name.getText(this.sourceFile);
+      const element = node.parent.parent;
+      const tag = element.tagName.getText(this.sourceFile);
+      const primitive = Boolean(this.analysis.uiComponents[tag]);
+      if (!/^on[A-Z]/.test(reactEvent) || !(primitive || /^[a-z]/.test(tag))) return;
+      if (primitive && RADIX_CALLBACK_PROPS.has(reactEvent)) return;
+
+      const expr = unwrapParens(node.initializer.expression);
+      const event = domEventName(reactEvent, tag.toLowerCase(), element);
+      let handler = propName(expr);
+      let body = handler ? functions.get(handler) : null;
+      let source = null;
+
+      if (!handler && (ts.isArrowFunction(expr) || ts.isFunctionExpression(expr))) {
+        const inner = ts.isBlock(expr.body) && expr.body.statements.length === 1 ? expr.body.statements[0].expression : expr.body;
+        const called = inner && ts.isCallExpression(inner) ? propName(inner.expression) : null;
+        if (called && (functions.has(called) || this.analysis.props.some(p => p.name === called))) {
+          handler = called;
+          body = functions.get(called) || expr;
+        } else {
+          const base = `handle${toPascalCase(tag)}${event === tag.toLowerCase() ? '' : toPascalCase(event)}`;
+          handler = base;
+          for (let i = 2; this.analysis.handlers.some(h => h.name === handler); i++) handler = `${base}${i}`;
+          body = expr;
+          source = dedentedText(expr, this.sourceFile);
+        }
+      }
+      if (!handler) return;
+      if (!source && functions.has(handler)) source = dedentedText(functions.get(handler), this.sourceFile);
+
+      const existing = this.analysis.handlers.find(h => h.name === handler);
+      if (existing) existing.type = event;
+      else this.analysis.handlers.push({ name: handler, type: event, ...(source ? { source } : {}) });
+
+      this.analysis.actions.push({
+        pos: node.pos,
+        element: tag,
+        event,
+        handler,
+        keys: event.startsWith('key') && body ? keyFilters(body) : []
+      });
+    });
+  }
+
+  /**
+   * The first `<form onSubmit>`: its fields (`{...register('email')}` or
+   * `name="email"`), the `errors` binding from react-hook-form's `formState`,
+   * and the model it edits, named by `useForm<UserFormValues>` or
+   * `zodResolver(userSchema)`. `record` is the prop holding that model, if any.
+   */
+  async extractForm() {
+    const ts = loadTypeScript();
+    let form = null;
+    walk(this.sourceFile, node => {
+      if (form || !(ts.isJsxElement(node) && node.openingElement.tagName.getText(this.sourceFile) === 'form')) return;
+      const attrs = node.openingElement.attributes.properties;
+      if (attrs.some(a => ts.isJsxAttribute(a) && a.name.getText(this.sourceFile) === 'onSubmit')) form = node;
+    });
+    if (!form) return;
+
+    let register = 'register';
+    let errors = null;
+    const names = [];
+    walk(this.sourceFile, node => {
+      if (!isHookCall(node, 'useForm')) return;
+      const [typeArg] = node.typeArguments || [];
+      if (typeArg) {
+        const infer = typeArg.getText(this.sourceFile).match(/^z\.infer<typeof (\w+)>$/);
+        names.push(infer ? infer[1] : typeArg.getText(this.sourceFile));
+      }
+      const [options] = node.arguments;
+      const resolver = options && ts.isObjectLiteralExpression(options)
+        ? options.properties.find(p => ts.isPropertyAssignment(p) && p.name.getText(this.sourceFile) === 'resolver')
+        : null;
+      if (resolver && ts.isCallExpression(resolver.initializer) && resolver.initializer.arguments[0]) {
+        names.push(resolver.initializer.arguments[0].getText(this.sourceFile));
+      }
+      const decl = node.parent;
+      if (ts.isVariableDeclaration(decl) && ts.isObjectBindingPattern(decl.name)) {
+        decl.name.elements.forEach(element => {
+          const key = (element.propertyName || element.name).getText(this.sourceFile);
+          if (key === 'register' && ts.isIdentifier(element.name)) register = element.name.text;
+          if (key === 'formState' && ts.isObjectBindingPattern(element.name)) {
+            const bound = element.name.elements.find(e => (e.propertyName || e.name).getText(this.sourceFile) === 'errors');
+            if (bound && ts.isIdentifier(bound.name)) errors = bound.name.text;
+          }
+        });
+      }
+    });
+
+    const fields = [];
+    const addField = name => {
+      if (name && /^\w+$/.test(name) && !fields.includes(name)) fields.push(name);
+    };
+    walk(form, node => {
+      if (ts.isCallExpression(node) && node.expression.getText(this.sourceFile) === register && node.arguments[0]) {
+        addField(stringLiteralValue(node.arguments[0]));
+      }
+      if (ts.isJsxAttribute(node) && node.name.getText(this.sourceFile) === 'name' && node.initializer) {
+        addField(stringLiteralValue(node.initializer));
+      }
+    });
+
+    const modelNames = this.resolver.typeFiles ? (await this.resolver.collectEntities()).map(e => e.name) : [];
+    const model = names.map(name => modelNameFor(name, modelNames)).find(Boolean) || null;
+    // The record is a keyword argument defaulting to `User.new`, so edit pages
+    // and failed saves can pass theirs and its errors show in the form.
+    let recordProp = model && this.analysis.props.find(p => stripNullable(p.type).type === model);
+    const recordName = model && model.charAt(0).toLowerCase() + model.slice(1);
+    if (model && !recordProp && !this.analysis.props.some(p => p.name === recordName)) {
+      recordProp = { name: recordName, optional: true, type: model, values: null };
+      this.analysis.props.push(recordProp);
+    }
+    if (recordProp && recordProp.optional) recordProp.rubyDefault = `${model}.new`;
+    const record = recordProp ? recordProp.name : model && `${model}.new`;
+    this.analysis.form = { model, record, fields, errors, register };
+  }
+
+  inferHandlerType(handlerName) {
+    const lower = handlerName.toLowerCase();
+    if (lower.includes('click')) return 'click';
+    if (lower.includes('change')) return 'change';
+    if (lower.includes('submit')) return 'submit';
+    if (lower.includes('touch')) return 'touch';
+    if (lower.includes('drag')) return 'drag';
+    if (lower.includes('focus')) return 'focus';
+    if (lower.includes('blur')) return 'blur';
+    return 'custom';
+  }
+
+  extractHooks() {
+    const ts = loadTypeScript();
+    const hooks = new Set();
+    walk(this.sourceFile, node => {
+      if (!ts.isCallExpression(node)) return;
+      const name = calleeName(node);
+      if (name && /^use[A-Z]/.test(name) && !isBuiltInHook(name)) hooks.add(name);
+    });
+    this.analysis.hooks = Array.from(hooks);
+  }
+
+  // `useRef` declarations; refs attached to a JSX element (`ref={inputRef}`)
+  // get a Stimulus target name (`input`), other refs hold plain values.
+  extractRefs() {
+    const ts = loadTypeScript();
+    const attached = new Set();
+    walk(this.sourceFile, node => {
+      if (ts.isJsxAttribute(node) && node.name.getText(this.sourceFile) === 'ref' && node.initializer) {
+        const expr = node.initializer.expression;
+        if (expr && ts.isIdentifier(expr)) attached.add(expr.text);
+      }
+    });
+
+    walk(this.sourceFile, node => {
+      if (!ts.isVariableDeclaration(node) || !ts.isIdentifier(node.name)) return;
+      if (!node.initializer || !isHookCall(node.initializer, 'useRef')) return;
+      const name = node.name.text;
+      const [typeArg] = node.initializer.typeArguments || [];
+      this.analysis.refs.push({
+        name,
+        type: typeArg ? typeArg.getText(this.sourceFile) : 'unknown',
+        target: attached.has(name) ? name.replace(/(.)Ref$/, '$1') : null
+      });
+    });
+  }
+
+  // `useEffect` / `useLayoutEffect` calls with their dependency list
+  // (null when omitted) and the cleanup function they return, if any.
+  extractEffects() {
+    const ts = loadTypeScript();
+    walk(this.sourceFile, node => {
+      if (!isHookCall(node, 'useEffect') && !isHookCall(node, 'useLayoutEffect')) return;
+      const [callback, depsNode] = node.arguments;
+      if (!callback) return;
+
+      const deps =
+        depsNode && ts.isArrayLiteralExpression(depsNode) ? depsNode.elements.map(d => d.getText(this.sourceFile)) : null;
+      let cleanup = null;
+      if ((ts.isArrowFunction(callback) || ts.isFunctionExpression(callback)) && ts.isBlock(callback.body)) {
+        const ret = callback.body.statements.find(st => ts.isReturnStatement(st) && st.expression);
+        if (ret) cleanup = dedentedText(ret.expression, this.sourceFile);
+      }
+
+      this.analysis.effects.push({
+        hook: calleeName(node),
+        deps,
+        source: dedentedText(node, this.sourceFile),
+        cleanup
+      });
+    });
+  }
+
+  extractIcons() {
+    const ts = loadTypeScript();
+    const icons = [];
+    for (const statement of this.sourceFile.statements) {
+      if (!ts.isImportDeclaration(statement)) continue;
+      if (statement.moduleSpecifier.text !== 'lucide-react') continue;
+      const bindings = statement.importClause && statement.importClause.namedBindings;
+      if (bindings && ts.isNamedImports(bindings)) {
+        bindings.elements.forEach(el => {
+          icons.push(el.name.text);
+          const lucide = (el.propertyName || el.name).text;
+          this.analysis.iconMap[el.name.text] = { lucide, rails: railsIconFor(lucide) };
+        });
+      }
+    }
+    this.analysis.icons = icons;
+  }
+
+  // Imports from the shadcn/ui folder, with the RubyUI component each renders as.
+  extractUiComponents() {
+    const ts = loadTypeScript();
+    for (const statement of this.sourceFile.statements) {
+      if (!ts.isImportDeclaration(statement) || !isUiImport(this.filePath, statement.moduleSpecifier.text)) continue;
+      const bindings = statement.importClause && statement.importClause.namedBindings;
+      if (!bindings || !ts.isNamedImports(bindings)) continue;
+      bindings.elements.forEach(el => {
+        const primitive = (el.propertyName || el.name).text;
+        // Skip helpers such as buttonVariants
+        if (!/^[A-Z]/.test(primitive)) return;
+        const mapping = rubyUiMappingFor(primitive);
+        this.analysis.uiComponents[el.name.text] = { primitive, rubyUi: mapping && `RubyUI::${mapping.component}` };
+      });
+    }
+  }
+
+  // Utilities from className strings, the strings inside className
+  // expressions (`cn(...)`), and cva() definitions.
+  extractTailwindClasses() {
+    const ts = loadTypeScript();
+    const classSet = new Set();
+    const add = value => classList(value).forEach(cls => classSet.add(cls));
+    const isComparison = node =>
+      ts.isBinaryExpression(node.parent) &&
+      [ts.SyntaxKind.EqualsEqualsEqualsToken, ts.SyntaxKind.ExclamationEqualsEqualsToken].includes(node.parent.operatorToken.kind);
+    walk(this.sourceFile, node => {
+      if (!ts.isJsxAttribute(node) || node.name.getText(this.sourceFile) !== 'className' || !node.initializer) return;
+      const value = stringLiteralValue(node.initializer);
+      if (value !== null) return add(value);
+      walk(node.initializer, child => {
+        if ((ts.isStringLiteral(child) || ts.isNoSubstitutionTemplateLiteral(child)) && !isComparison(child)) add(child.text);
+      });
+    });
+    Object.values(this.analysis.variants).forEach(({ base, variants, compound }) => {
+      add(base);
+      variants.forEach(variant => variant.options.forEach(o => add(o.utilities)));
+      compound.forEach(c => add(c.utilities));
+    });
+    this.analysis.tailwindClasses = Array.from(classSet);
+  }
+
+  // ReactNode props, `children` and render functions are slots in Rails.
+  extractSlots() {
+    this.analysis.props.forEach(prop => {
+      const slot = slotForProp(prop);
+      if (slot) prop.slot = slot;
+    });
+  }
+
+  extractChildComponents() {
+    const ts = loadTypeScript();
+    const componentSet = new Set();
+    walk(this.sourceFile, node => {
+      if (!ts.isJsxOpeningElement(node) && !ts.isJsxSelfClosingElement(node)) return;
+      const tag = node.tagName.getText(this.sourceFile);
+      if (/^[A-Z]/.test(tag)) componentSet.add(tag);
+    });
+    this.analysis.childComponents = Array.from(componentSet);
+  }
+
+  // Maps child component tags to the files they are imported from, so a child
+  // in another folder renders with its namespaced class name.
+  async extractComponentImports() {
+    const ts = loadTypeScript();
+    this.analysis.componentImports = {};
+
+    for (const statement of this.sourceFile.statements) {
+      if (!ts.isImportDeclaration(statement) || !statement.importClause) continue;
+      const { name, namedBindings } = statement.importClause;
+      const locals = [
+        ...(name ? [name.text] : []),
+        ...(namedBindings && ts.isNamedImports(namedBindings) ? namedBindings.elements.map(e => e.name.text) : [])
+      ].filter(local => this.analysis.childComponents.includes(local));
+      if (!locals.length) continue;
+
+      const filePath = await this.resolver.resolveModule(this.filePath, statement.moduleSpecifier.text);
+      if (filePath) locals.forEach(local => (this.analysis.componentImports[local] = filePath));
+    }
+  }
+
+  // The name of a non-destructured props parameter (`props` in
+  // `UserCard(props)`), so `props.onSelect` reads as the `onSelect` prop.
+  extractPropsParam() {
+    const ts = loadTypeScript();
+    const fn = this.findComponentFunction();
+    const [param] = fn ? fn.parameters : [];
+    if (param && ts.isIdentifier(param.name)) this.analysis.propsParam = param.name.text;
+  }
+
+  // Records the JSX tree the component renders (its last top-level return),
+  // for the ERB translator.
+  extractJsx() {
+    const ts = loadTypeScript();
+    const fn = this.findComponentFunction();
+    if (!fn) return;
+
+    if (!ts.isBlock(fn.body)) {
+      this.analysis.jsx = unwrapParens(fn.body);
+      return;
+    }
+
+    const visit = node => {
+      if (ts.isFunctionLike(node)) return;
+      if (ts.isReturnStatement(node) && node.expression && containsJsx(node.expression)) {
+        this.analysis.jsx = unwrapParens(node.expression);
+      }
+      ts.forEachChild(node, visit);
+    };
+    ts.forEachChild(fn.body, visit);
+  }
+
+  findComponentFunction(name = this.analysis.name) {
+    const ts = loadTypeScript();
+    const asFunction = node => {
+      if (!node) return null;
+      if (ts.isArrowFunction(node) || ts.isFunctionExpression(node)) return node;
+      // memo(...), forwardRef(...), React.memo(...)
+      if (ts.isCallExpression(node)) return asFunction(node.arguments[0]);
+      return null;
+    };
+
+    for (const statement of this.sourceFile.statements) {
+      if (ts.isFunctionDeclaration(statement) && statement.body) {
+        if (!statement.name || statement.name.text === name) return statement;
+      } else if (ts.isVariableStatement(statement)) {
+        for (const decl of statement.declarationList.declarations) {
+          if (ts.isIdentifier(decl.name) && decl.name.text === name) {
+            return asFunction(decl.initializer);
+          }
+        }
+      } else if (ts.isExportAssignment(statement)) {
+        const fn = asFunction(statement.expression);
+        if (fn) return fn;
+      }
+    }
+    return null;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Icons
+// -----------------------------------------------------------------------------
+
+// lucide-react names whose icon has since been renamed in Lucide (and so in rails_icons).
+const LUCIDE_RENAMES = {
+  AlertCircle: 'circle-alert',
+  AlertOctagon: 'octagon-alert',
+  AlertTriangle: 'triangle-alert',
+  CheckCircle: 'circle-check-big',
+  CheckCircle2: 'circle-check',
+  Edit: 'square-pen',
+  Edit2: 'pen',
+  Edit3: 'pen-line',
+  HelpCircle: 'circle-help',
+  Home: 'house',
+  Loader2: 'loader-circle',
+  MinusCircle: 'circle-minus',
+  MoreHorizontal: 'ellipsis',
+  MoreVertical: 'ellipsis-vertical',
+  PlusCircle: 'circle-plus',
+  Sidebar: 'panel-left',
+  Unlock: 'lock-open',
+  XCircle: 'circle-x'
+};
+
+let railsIconNames;
+
+// Icon names available in CONFIG.icons.directory, or null when no directory is set.
+function availableRailsIcons() {
+  if (railsIconNames !== undefined) return railsIconNames;
+  const dir = CONFIG.icons.directory && path.join(CONFIG.icons.directory, CONFIG.icons.library);
+  railsIconNames = null;
+  if (dir && fsSync.existsSync(dir)) {
+    const names = new Set();
+    const collect = current =>
+      fsSync.readdirSync(current, { withFileTypes: true }).forEach(entry => {
+        if (entry.isDirectory()) collect(path.join(current, entry.name));
+        else if (entry.name.endsWith('.svg')) names.add(entry.name.replace(/\.svg$/, ''));
+      });
+    collect(dir);
+    railsIconNames = names;
+  }
+  return railsIconNames;
+}
+
+/**
+ * rails_icons name for a lucide-react icon, or null when there is no known
+ * equivalent. The config map wins; otherwise Lucide names are converted
+ * (`ArrowUpRight` / `ArrowUpRightIcon` / `LucideArrowUpRight` → `arrow-up-right`,
+ * `Trash2` → `trash-2`), which only holds when rails_icons uses Lucide too.
+ */
+function railsIconFor(lucideName) {
+  const map = CONFIG.icons.map;
+  const bare = lucideName.replace(/^Lucide(?=[A-Z])/, '').replace(/(?<=.)Icon$/, '');
+  if (lucideName in map) return map[lucideName];
+  if (bare in map) return map[bare];
+  if (CONFIG.icons.library !== 'lucide') return null;
+
+  const name =
+    LUCIDE_RENAMES[bare] ||
+    bare
+      .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+      .replace(/([A-Za-z])(\d)/g, '$1-$2')
+      .toLowerCase();
+  const available = availableRailsIcons();
+  return available && !available.has(name) ? null : name;
+}
+
+// -----------------------------------------------------------------------------
+// RubyUI
+// -----------------------------------------------------------------------------
+
+/**
+ * shadcn/ui exports and the RubyUI components they render as. A string is
+ * the RubyUI name; `props` maps shadcn values of a prop to RubyUI keyword
+ * values (null: no equivalent), and `asChild` names the RubyUI component to
+ * use instead when the single child is that HTML element.
+ */
+const RUBY_UI_COMPONENTS = {
+  Button: {
+    component: 'Button',
+    props: {
+      variant: {
+        default: 'primary',
+        secondary: 'secondary',
+        destructive: 'destructive',
+        outline: 'outline',
+        ghost: 'ghost',
+        link: 'link'
+      },
+      size: { default: 'md', sm: 'sm', lg: 'lg', icon: null }
+    },
+    asChild: { a: 'Link' }
+  },
+  Badge: {
+    component: 'Badge',
+    props: { variant: { default: 'primary', secondary: 'secondary', destructive: 'destructive', outline: 'outline' } }
+  },
+  Card: 'Card',
+  CardHeader: 'CardHeader',
+  CardTitle: 'CardTitle',
+  CardDescription: 'CardDescription',
+  CardContent: 'CardContent',
+  CardFooter: 'CardFooter',
+  Dialog: 'Dialog',
+  DialogTrigger: 'DialogTrigger',
+  DialogContent: 'DialogContent',
+  DialogHeader: 'DialogHeader',
+  DialogTitle: 'DialogTitle',
+  DialogDescription: 'DialogDescription',
+  DialogFooter: 'DialogFooter',
+  Input: 'Input',
+  Select: 'Select',
+  SelectTrigger: 'SelectTrigger',
+  SelectValue: 'SelectValue',
+  SelectContent: 'SelectContent',
+  SelectGroup: 'SelectGroup',
+  SelectLabel: 'SelectLabel',
+  SelectItem: 'SelectItem'
+};
+
+// Radix callbacks with no DOM event behind them; RubyUI's own controllers handle these.
+const RADIX_CALLBACK_PROPS = new Set(['onOpenChange', 'onValueChange', 'onCheckedChange', 'onPressedChange']);
+
+/**
+ * RubyUI mapping for a shadcn/ui export as { component, props, asChild }, or
+ * null when there is none. Config entries extend the built-in ones value by
+ * value, so a team can add `variant: { brand: 'primary' }` to Button.
+ */
+function rubyUiMappingFor(name) {
+  const builtIn = RUBY_UI_COMPONENTS[name];
+  const custom = CONFIG.rubyUi.components[name];
+  if (custom === null || (custom === undefined && !builtIn)) return null;
+
+  const [base, extra] = [builtIn, custom].map(entry => (typeof entry === 'string' ? { component: entry } : entry || {}));
+  const props = {};
+  new Set([...Object.keys(base.props || {}), ...Object.keys(extra.props || {})]).forEach(prop => {
+    props[prop] = { ...(base.props || {})[prop], ...(extra.props || {})[prop] };
+  });
+  return { component: extra.component || base.component || name, props, asChild: { ...base.asChild, ...extra.asChild } };
+}
+
+// True for imports of CONFIG.rubyUi.module (`@/components/ui/button`, or a relative path into it).
+function isUiImport(fromPath, specifier) {
+  const prefix = CONFIG.rubyUi.module.replace(/\/$/, '');
+  if (specifier === prefix || specifier.startsWith(`${prefix}/`)) return true;
+  const aliases = getModuleAliases();
+  const alias = Object.keys(aliases).find(a => prefix.startsWith(a));
+  if (!specifier.startsWith('.') || !alias) return false;
+  const dir = path.join(aliases[alias], prefix.slice(alias.length));
+  return isInside(path.resolve(path.dirname(fromPath), specifier), dir);
+}
+
+// -----------------------------------------------------------------------------
+// Class Variants
+// -----------------------------------------------------------------------------
+
+// Class-merging helpers whose arguments are class lists, conditional classes or cva() calls.
+const CLASS_MERGE_FUNCTIONS = new Set(['cn', 'clsx', 'cx', 'classNames', 'classnames', 'twMerge', 'twJoin']);
+
+// Utilities in a class value: a string, or an array of strings as cva() accepts.
+function classList(value) {
+  if (typeof value === 'string') return value.split(/\s+/).filter(Boolean);
+  if (Array.isArray(value)) return value.flatMap(classList);
+  return [];
+}
+
+// Tailwind utilities that are a single word, and the prefixes of those that take a value (`px-4`).
+const TAILWIND_KEYWORDS = new Set([
+  'block', 'inline', 'inline-block', 'flex', 'inline-flex', 'grid', 'inline-grid', 'hidden', 'contents', 'flow-root',
+  'table', 'static', 'fixed', 'absolute', 'relative', 'sticky', 'visible', 'invisible', 'collapse', 'isolate', 'truncate',
+  'italic', 'not-italic', 'underline', 'overline', 'line-through', 'no-underline', 'uppercase', 'lowercase', 'capitalize',
+  'normal-case', 'antialiased', 'subpixel-antialiased', 'container', 'sr-only', 'not-sr-only', 'grow', 'shrink', 'border',
+  'rounded', 'shadow', 'ring', 'outline', 'transition', 'transform', 'filter', 'blur', 'invert', 'grayscale', 'sepia',
+  'group', 'peer', 'ordinal', 'slashed-zero', 'tabular-nums', 'diagonal-fractions'
+]);
+const TAILWIND_PREFIXES = new RegExp(
+  `^(${[
+    'p[xytrblse]?', 'm[xytrblse]?', 'space-[xy]', 'gap(-[xy])?', 'w', 'h', 'size', 'min-[wh]', 'max-[wh]', 'inset(-[xy])?',
+    'top', 'right', 'bottom', 'left', 'start', 'end', 'z', 'order', 'col', 'row', 'grid-cols', 'grid-rows', 'grid-flow',
+    'auto-cols', 'auto-rows', 'flex', 'basis', 'grow', 'shrink', 'justify', 'items', 'content', 'self', 'place', 'text',
+    'font', 'leading', 'tracking', 'line-clamp', 'list', 'decoration', 'underline-offset', 'indent', 'align', 'whitespace',
+    'break', 'hyphens', 'bg', 'from', 'via', 'to', 'border', 'divide', 'outline', 'ring', 'ring-offset', 'rounded', 'shadow',
+    'opacity', 'mix-blend', 'bg-blend', 'blur', 'brightness', 'contrast', 'drop-shadow', 'hue-rotate', 'saturate',
+    'backdrop', 'transition', 'duration', 'ease', 'delay', 'animate', 'scale', 'rotate', 'translate', 'skew', 'origin',
+    'cursor', 'select', 'resize', 'scroll', 'snap', 'touch', 'pointer-events', 'will-change', 'fill', 'stroke', 'object',
+    'overflow', 'overscroll', 'aspect', 'columns', 'box', 'float', 'clear', 'accent', 'caret', 'appearance', 'caption'
+  ].join('|')})-.`
+);
+
+/**
+ * Whether a class is a Tailwind utility `@apply` can take: variant prefixes
+ * (`md:`, `hover:`, `data-[state=open]:`), `!` and `-` are stripped before
+ * matching, arbitrary properties (`[mask-type:alpha]`) count, and
+ * `CONFIG.tailwind.safelist` adds project classes (plugins, `@layer components`).
+ */
+function isTailwindUtility(cls) {
+  const safelisted = CONFIG.tailwind.safelist.some(entry => (entry instanceof RegExp ? entry.test(cls) : entry === cls));
+  if (safelisted) return true;
+  const utility = cls.replace(/^(?:(?:[^:[\]]|\[[^\]]*\])+:)+/, '').replace(/^!?-?/, '');
+  return utility.startsWith('[') || TAILWIND_KEYWORDS.has(utility) || TAILWIND_PREFIXES.test(utility);
+}
+
+/**
+ * Reads `cva(base, { variants, defaultVariants, compoundVariants })` into
+ * `{ base, variants: [{ name, options: [{ value, utilities }], boolean, default }], compound: [{ conditions, utilities }] }`.
+ * Boolean variants (`{ true: '...', false: '...' }`) keep `'true'` / `'false'` as option values.
+ */
+function readCva(call) {
+  const [baseArg, configArg] = call.arguments;
+  const config = configArg ? objectProperties(configArg) : {};
+  const defaults = (config.defaultVariants && literalValue(config.defaultVariants)) || {};
+  const variants = Object.entries(config.variants ? objectProperties(config.variants) : {}).map(([name, node]) => {
+    const options = Object.entries(objectProperties(node)).map(([value, classes]) => ({
+      value,
+      utilities: classList(literalValue(classes))
+    }));
+    const boolean = options.length > 0 && options.every(o => o.value === 'true' || o.value === 'false');
+    return { name, options, boolean, default: defaults[name] };
+  });
+  const compound = [].concat((config.compoundVariants && literalValue(config.compoundVariants)) || []).map(entry => {
+    const { class: classes, className, ...conditions } = entry;
+    return { conditions, utilities: classList(classes !== undefined ? classes : className) };
+  });
+  return { base: baseArg ? classList(literalValue(baseArg)) : [], variants, compound };
+}
+
+/**
+ * Classes an element's modifiers add, as `{ name, condition }` pairs where
+ * `name` may interpolate the prop (`card--size-#{size}`) and `condition` is
+ * Ruby or null. Modifiers are `{ kind: 'condition', name, ruby, utilities }`
+ * for conditional classes and `{ kind: 'variants', definition }` for a cva() call.
+ * `reference` turns a variant prop name into Ruby (`@size` in Phlex).
+ */
+function modifierClasses(className, modifiers, reference = name => name) {
+  return modifiers.flatMap(modifier => {
+    if (modifier.kind === 'condition') {
+      const plain = modifier.utilities.filter(cls => !isTailwindUtility(cls));
+      return [{ name: [`${className}--${modifier.name}`, ...plain].join(' '), condition: modifier.ruby }];
+    }
+    return modifier.definition.variants.flatMap(variant => {
+      const base = `${className}--${toKebabCase(variant.name)}`;
+      const prop = reference(variant.name);
+      // A nil value (no default, or `size: nil` passed) adds no `card--size-` class.
+      if (!variant.boolean) return [{ name: `${base}-#{${prop}}`, condition: prop }];
+      const negated = variant.options.some(o => o.value === 'false' && o.utilities.length);
+      return [
+        { name: base, condition: prop },
+        ...(negated ? [{ name: `${className}--not-${toKebabCase(variant.name)}`, condition: `!${prop}` }] : [])
+      ];
+    });
+  });
+}
+
+// CSS rules for an element's modifiers; rules without utilities are left out,
+// and classes that are not Tailwind utilities stay on the element (modifierClasses).
+function modifierRules(className, modifiers) {
+  const selector = (name, value) => {
+    const base = `.${className}--${toKebabCase(name)}`;
+    if (value === true || value === 'true') return base;
+    if (value === false || value === 'false') return `.${className}--not-${toKebabCase(name)}`;
+    return `${base}-${value}`;
+  };
+  const rules = modifiers.flatMap(modifier => {
+    if (modifier.kind === 'condition') return [{ selector: `.${className}--${modifier.name}`, utilities: modifier.utilities }];
+    const { variants, compound } = modifier.definition;
+    return [
+      ...variants.flatMap(variant => variant.options.map(o => ({ selector: selector(variant.name, o.value), utilities: o.utilities }))),
+      ...compound.map(({ conditions, utilities }) => ({
+        selector: Object.entries(conditions)
+          .map(([name, value]) => (Array.isArray(value) ? `:is(${value.map(v => selector(name, v)).join(', ')})` : selector(name, value)))
+          .join(''),
+        utilities
+      }))
+    ];
+  });
+  const merged = new Map();
+  rules.forEach(({ selector: key, utilities }) =>
+    merged.set(key, [...(merged.get(key) || []), ...utilities.filter(isTailwindUtility)])
+  );
+  return Array.from(merged)
+    .filter(([, utilities]) => utilities.length)
+    .map(([key, utilities]) => ({ selector: key, utilities: Array.from(new Set(utilities)), modifier: true }));
+}
+
+// -----------------------------------------------------------------------------
+// JSX Translator
+// -----------------------------------------------------------------------------
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+const BOOLEAN_ATTRIBUTES = new Set([
+  'autofocus', 'checked', 'disabled', 'hidden', 'multiple', 'open', 'readonly', 'required', 'selected'
+]);
+
+const JSX_ATTRIBUTE_NAMES = {
+  className: 'class',
+  htmlFor: 'for',
+  tabIndex: 'tabindex',
+  readOnly: 'readonly',
+  autoFocus: 'autofocus',
+  autoComplete: 'autocomplete',
+  maxLength: 'maxlength',
+  minLength: 'minlength',
+  colSpan: 'colspan',
+  rowSpan: 'rowspan'
+};
+
+const JS_TO_RUBY_OPERATORS = {
+  '===': '==',
+  '!==': '!=',
+  '==': '==',
+  '!=': '!=',
+  '&&': '&&',
+  '||': '||',
+  '??': '||',
+  '<': '<',
+  '>': '>',
+  '<=': '<=',
+  '>=': '>=',
+  '+': '+',
+  '-': '-',
+  '*': '*',
+  '/': '/',
+  '%': '%'
+};
+
+function rubyString(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/#\{/g, '\\#{')}"`;
+}
+
+// `key:` for symbol-safe keys, `"key" =>` otherwise.
+function rubyHashKey(key) {
+  return /^[A-Za-z_]\w*$/.test(key) ? `${key}:` : `${rubyString(key)} =>`;
+}
+
+// Ruby value for one of a prop's allowed options: `:primary`, `"in-review"` or `2`.
+function rubyOptionValue(value) {
+  if (typeof value !== 'string') return String(value);
+  return /^[a-z_]\w*$/i.test(value) ? `:${value}` : rubyString(value);
+}
+
+// Uses %w[] when every value is a plain word.
+function rubyArray(values) {
+  if (values.every(v => typeof v === 'string' && /^[\w-]+$/.test(v))) return `%w[${values.join(' ')}]`;
+  return `[${values.map(v => (typeof v === 'string' ? rubyString(v) : String(v))).join(', ')}]`;
+}
+
+// `<input type>` → form builder helper.
+const FORM_INPUT_HELPERS = {
+  text: 'text_field',
+  email: 'email_field',
+  password: 'password_field',
+  number: 'number_field',
+  tel: 'telephone_field',
+  url: 'url_field',
+  search: 'search_field',
+  date: 'date_field',
+  'datetime-local': 'datetime_field',
+  time: 'time_field',
+  color: 'color_field',
+  range: 'range_field',
+  hidden: 'hidden_field',
+  file: 'file_field',
+  checkbox: 'check_box'
+};
+// shadcn/ui primitives that wrap a form control.
+const FORM_PRIMITIVE_TAGS = { Input: 'input', Textarea: 'textarea', Label: 'label' };
+
+function escapeHtmlAttribute(text) {
+  return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts the JSX tree returned by a component into a small markup tree
+ * (element / text / output / if / each / component / todo nodes) with every
+ * JS expression already translated to Ruby. Anything without a safe Ruby
+ * equivalent becomes a `todo` node that keeps the original source.
+ */
+class JsxTranslator {
+  // `instanceVariables` reads props as `@title` (Phlex, where a `title` reader would
+  // shadow the <title> element method) instead of through attr_readers.
+  constructor(analysis, { stimulusController = null, instanceVariables = false } = {}) {
+    this.analysis = analysis;
+    this.stimulusController = stimulusController;
+    this.instanceVariables = instanceVariables;
+    this.targets = new Map((analysis.refs || []).filter(r => r.target).map(r => [r.name, r.target]));
+    this.props = new Set(analysis.props.map(p => p.name));
+    this.routeParams = new Set(analysis.props.filter(p => p.routeParam).map(p => p.name));
+    this.slots = new Map(analysis.props.filter(p => p.slot).map(p => [p.name, p.slot]));
+    this.state = new Map(analysis.state.map(s => [s.name, s.initialValue]));
+    this.scopes = [];
+    this.form = analysis.form || null;
+    // True while translating the children of a form_with block, where `form` is the builder.
+    this.inForm = false;
+  }
+
+  translate(jsx) {
+    return jsx ? this.child(jsx) : [];
+  }
+
+  todo(node) {
+    const source = node.getText().replace(/\s+/g, ' ').trim();
+    return { kind: 'todo', source };
+  }
+
+  children(nodes) {
+    return Array.from(nodes).flatMap(n => this.child(n));
+  }
+
+  child(node) {
+    const ts = loadTypeScript();
+    if (ts.isJsxText(node)) return this.text(node.text);
+    if (ts.isJsxExpression(node)) return node.expression ? this.expressionChild(node.expression) : [];
+    if (ts.isJsxFragment(node)) return this.children(node.children);
+    if (ts.isJsxElement(node)) return this.element(node.openingElement, node.children);
+    if (ts.isJsxSelfClosingElement(node)) return this.element(node, []);
+    return this.expressionChild(node);
+  }
+
+  // Follows JSX whitespace rules: text spanning lines is trimmed per line.
+  text(raw) {
+    if (!raw.includes('\n')) return raw ? [{ kind: 'text', text: raw }] : [];
+    const text = raw
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join(' ');
+    return text ? [{ kind: 'text', text }] : [];
+  }
+
+  expressionChild(node) {
+    const ts = loadTypeScript();
+    const expr = unwrapParens(node);
+
+    if (isJsxNode(expr)) return this.child(expr);
+    if (
+      expr.kind === ts.SyntaxKind.NullKeyword ||
+      expr.kind === ts.SyntaxKind.FalseKeyword ||
+      (ts.isIdentifier(expr) && expr.text === 'undefined')
+    ) {
+      return [];
+    }
+
+    if (ts.isBinaryExpression(expr) && expr.operatorToken.kind === ts.SyntaxKind.AmpersandAmpersandToken) {
+      const condition = this.condition(expr.left);
+      if (condition === null) return [this.todo(expr)];
+      return [{ kind: 'if', condition, then: this.expressionChild(expr.right), else: [] }];
+    }
+
+    if (ts.isConditionalExpression(expr)) {
+      const condition = this.condition(expr.condition);
+      if (condition === null) return [this.todo(expr)];
+      return [
+        {
+          kind: 'if',
+          condition,
+          then: this.expressionChild(expr.whenTrue),
+          else: this.expressionChild(expr.whenFalse)
+        }
+      ];
+    }
+
+    if (ts.isCallExpression(expr) && ts.isPropertyAccessExpression(expr.expression) && expr.expression.name.text === 'map') {
+      return [this.loop(expr)];
+    }
+
+    // A renders_many slot is a collection; each entry renders itself.
+    const slot = this.slotFor(expr);
+    if (slot && slot.kind === 'many') {
+      const item = slot.name.endsWith('s') ? slot.name.slice(0, -1) : 'item';
+      return [{ kind: 'each', collection: this.slotReference(slot), item, index: null, children: [{ kind: 'output', ruby: item }] }];
+    }
+    const renderCall = ts.isCallExpression(expr) && expr.arguments.length ? this.slotFor(expr.expression) : null;
+    if (renderCall && renderCall.render) {
+      const args = expr.arguments.map(a => a.getText()).join(', ');
+      return [
+        { kind: 'comment', text: `TODO: ${expr.expression.getText()}(${args}) took arguments; the caller now fills the ${renderCall.name} slot` },
+        { kind: 'output', ruby: this.slotReference(renderCall) }
+      ];
+    }
+
+    const ruby = this.expression(expr);
+    return ruby === null ? [this.todo(expr)] : [{ kind: 'output', ruby }];
+  }
+
+  // Slots are tested with their predicate (`header?`), which is false for an
+  // empty renders_many collection too. Phlex slots are plain values and the
+  // content slot is the block.
+  condition(node) {
+    const slot = this.slotFor(node);
+    if (!slot) return this.expression(node);
+    if (!this.instanceVariables) return `${slot.name}?`;
+    if (slot.kind === 'content') return 'block_given?';
+    return slot.kind === 'many' ? `${this.slotReference(slot)}.any?` : this.slotReference(slot);
+  }
+
+  loop(call) {
+    const ts = loadTypeScript();
+    const collection = this.expression(call.expression.expression);
+    const callback = call.arguments[0];
+    if (collection === null || !callback || !(ts.isArrowFunction(callback) || ts.isFunctionExpression(callback))) {
+      return this.todo(call);
+    }
+
+    const params = callback.parameters.map(p => (ts.isIdentifier(p.name) ? p.name.text : null));
+    if (params.length === 0 || params.includes(null)) return this.todo(call);
+
+    let body = callback.body;
+    if (ts.isBlock(body)) {
+      const ret = body.statements.find(s => ts.isReturnStatement(s));
+      if (!ret || !ret.expression || body.statements.length > 1) return this.todo(call);
+      body = ret.expression;
+    }
+
+    this.scopes.push(new Set(params));
+    const children = this.expressionChild(body);
+    this.scopes.pop();
+
+    return { kind: 'each', collection, item: params[0], index: params[1] || null, children };
+  }
+
+  element(opening, children) {
+    const tag = opening.tagName.getText();
+    if (tag === 'form' && this.form && !this.inForm) return [this.formElement(opening, children)];
+    const field = this.inForm ? this.formField(tag, opening, children) : null;
+    if (field) return [field];
+    if ((this.analysis.iconMap || {})[tag]) return this.icon(tag, opening);
+    if ((this.analysis.uiComponents || {})[tag]) return this.uiComponent(tag, opening, children);
+    if (/^[A-Z]/.test(tag)) return [this.component(tag, opening, children)];
+
+    const attrs = [];
+    const actions = [];
+    opening.attributes.properties.forEach(attr => {
+      actions.push(...this.actionDescriptors(attr));
+      const translated = this.attribute(attr);
+      if (translated) attrs.push(translated);
+    });
+    if (actions.length) attrs.push({ name: 'data-action', value: { kind: 'segments', segments: [{ text: actions.join(' ') }] } });
+    return [{ kind: 'element', tag, attrs, children: this.children(children) }];
+  }
+
+  /**
+   * `<form onSubmit>` → `<%= form_with model: user do |form| %>`. The form
+   * posts to the controller, so the submit handler is dropped. Without a
+   * react-hook-form `errors` display, a summary of the record's errors is added.
+   */
+  formElement(opening, children) {
+    const { model, record, errors } = this.form;
+    const attrs = opening.attributes.properties.map(attr => this.attribute(attr)).filter(Boolean);
+    this.inForm = true;
+    const content = this.children(children);
+    this.inForm = false;
+
+    const showsErrors = errors && new RegExp(`\\b${errors}\\.`).test(opening.parent.getText());
+    // The record prop is read like any other prop.
+    const target = record && record.replace(/^\w+/, name => (this.props.has(name) ? this.identifier(name) : name));
+    const lead = [];
+    if (!model) lead.push({ kind: 'comment', text: 'TODO: point form_with at the controller action that replaces onSubmit' });
+    if (model && !showsErrors) {
+      const item = { kind: 'element', tag: 'li', attrs: [], children: [{ kind: 'output', ruby: 'message' }] };
+      lead.push({
+        kind: 'if',
+        condition: 'form.object.errors.any?',
+        then: [
+          {
+            kind: 'element',
+            tag: 'ul',
+            attrs: [],
+            children: [{ kind: 'each', collection: 'form.object.errors.full_messages', item: 'message', index: null, children: [item] }]
+          }
+        ],
+        else: []
+      });
+    }
+    return {
+      kind: 'element',
+      tag: 'form',
+      attrs,
+      children: [...lead, ...content],
+      builder: model ? `form_with model: ${target}` : 'form_with url: "#"',
+      block: 'form'
+    };
+  }
+
+  /**
+   * A control bound to one of the form's fields becomes a form builder call:
+   * `<input type="email" {...register('email')} />` → `form.email_field :email`,
+   * `<label htmlFor="email">` → `form.label :email`, a submit button → `form.button`.
+   * Returns null for anything else.
+   */
+  formField(tag, opening, children) {
+    const ts = loadTypeScript();
+    const primitive = (this.analysis.uiComponents || {})[tag];
+    const html = primitive ? FORM_PRIMITIVE_TAGS[primitive.primitive] : tag;
+    if (!['input', 'textarea', 'select', 'label', 'button'].includes(html)) return null;
+
+    const properties = Array.from(opening.attributes.properties);
+    const literal = name => {
+      const attr = properties.find(p => ts.isJsxAttribute(p) && p.name.getText() === name);
+      return attr && attr.initializer ? stringLiteralValue(attr.initializer) : null;
+    };
+    const registration = properties.find(
+      p => ts.isJsxSpreadAttribute(p) && ts.isCallExpression(p.expression) && p.expression.expression.getText() === this.form.register
+    );
+    const field = registration ? stringLiteralValue(registration.expression.arguments[0]) : literal('name');
+    const type = literal('type');
+
+    let builder;
+    if (html === 'label') {
+      const target = literal('htmlFor');
+      if (!target || !this.form.fields.includes(target)) return null;
+      builder = `form.label :${toSnakeCase(target)}`;
+    } else if (html === 'button') {
+      if (primitive || type !== 'submit') return null;
+      builder = 'form.button';
+    } else {
+      if (!field || !this.form.fields.includes(field) || type === 'radio') return null;
+      const column = toSnakeCase(field);
+      if (html === 'textarea') builder = `form.text_area :${column}`;
+      else if (html === 'select') builder = `form.select :${column}, {}`;
+      else builder = `form.${FORM_INPUT_HELPERS[type || 'text'] || 'text_field'} :${column}`;
+    }
+
+    // The builder sets type, name, id and for itself.
+    const attrs = [];
+    const actions = [];
+    properties.forEach(attr => {
+      if (attr === registration) return;
+      if (ts.isJsxAttribute(attr) && ['type', 'name', 'id', 'htmlFor'].includes(attr.name.getText())) return;
+      actions.push(...this.actionDescriptors(attr));
+      const translated = this.attribute(attr);
+      if (translated) attrs.push(translated);
+    });
+    if (actions.length) attrs.push({ name: 'data-action', value: { kind: 'segments', segments: [{ text: actions.join(' ') }] } });
+    return { kind: 'element', tag: html, attrs, children: this.children(children), builder };
+  }
+
+  // `errors.email` → `form.object.errors[:email].any?`, `errors.email?.message` →
+  // `form.object.errors[:email].to_sentence`; undefined when `node` is not an error lookup.
+  formError(node) {
+    const ts = loadTypeScript();
+    if (!this.form || !this.form.errors || !ts.isPropertyAccessExpression(node)) return undefined;
+    const message = node.name.text === 'message';
+    const access = message ? node.expression : node;
+    if (!ts.isPropertyAccessExpression(access) || !ts.isIdentifier(access.expression) || access.expression.text !== this.form.errors) {
+      return undefined;
+    }
+    if (!this.inForm || !this.form.model) return null;
+    const errors = `form.object.errors[:${toSnakeCase(access.name.text)}]`;
+    return message ? `${errors}.to_sentence` : `${errors}.any?`;
+  }
+
+  // Event handlers, refs and keys describe behaviour rather than markup, so
+  // they are dropped here; Stimulus covers the behaviour.
+  isBehaviourAttribute(name) {
+    return name === 'key' || name === 'ref' || /^on[A-Z]/.test(name);
+  }
+
+  attribute(attr) {
+    const ts = loadTypeScript();
+    if (ts.isJsxSpreadAttribute(attr)) return { name: null, value: { kind: 'todo', source: attr.getText() } };
+
+    const jsxName = attr.name.getText();
+    const target = jsxName === 'ref' ? this.refTarget(attr) : null;
+    if (target) return { name: `data-${this.stimulusController}-target`, value: { kind: 'segments', segments: [{ text: target }] } };
+    if (this.isBehaviourAttribute(jsxName)) return null;
+    const name = JSX_ATTRIBUTE_NAMES[jsxName] || jsxName;
+
+    if (!attr.initializer) return { name, value: { kind: 'boolean' } };
+    if (jsxName === 'className' && ts.isJsxExpression(attr.initializer) && attr.initializer.expression) {
+      const classes = this.classAttribute(attr.initializer.expression);
+      if (classes) return classes;
+    }
+
+    const literal = stringLiteralValue(attr.initializer);
+    if (literal !== null) return { name, value: { kind: 'segments', segments: [{ text: literal }] } };
+
+    const ruby = attr.initializer.expression ? this.expression(attr.initializer.expression) : null;
+    if (ruby === null) return { name, value: { kind: 'todo', source: attr.getText() } };
+    if (BOOLEAN_ATTRIBUTES.has(name)) return { name, value: { kind: 'conditional', ruby } };
+    return { name, value: { kind: 'segments', segments: [{ ruby }] } };
+  }
+
+  /**
+   * `className={cn(...)}` or a cva() call: the static utilities, plus
+   * `modifiers` for cva variants and prop-driven conditional classes, which
+   * applyBemClass names after the element. Other parts stay as Ruby
+   * (`className` passed through) or are left to the CSS file's unmapped note.
+   */
+  classAttribute(node) {
+    const ts = loadTypeScript();
+    const expr = unwrapParens(node);
+    if (!ts.isCallExpression(expr) || !(CLASS_MERGE_FUNCTIONS.has(calleeName(expr)) || this.cvaDefinition(expr))) return null;
+    const parts = { utilities: [], modifiers: [], dynamic: [] };
+    this.classParts(expr, parts, null);
+    return {
+      name: 'class',
+      value: { kind: 'segments', segments: [{ text: Array.from(new Set(parts.utilities)).join(' ') }] },
+      modifiers: parts.modifiers,
+      dynamic: parts.dynamic
+    };
+  }
+
+  cvaDefinition(call) {
+    const ts = loadTypeScript();
+    return ts.isIdentifier(call.expression) ? this.analysis.variants[call.expression.text] || null : null;
+  }
+
+  classParts(node, parts, condition) {
+    const ts = loadTypeScript();
+    const expr = unwrapParens(node);
+    const value = literalValue(expr);
+    if (typeof value === 'string' || Array.isArray(value)) {
+      if (!condition) parts.utilities.push(...classList(value));
+      else this.addModifier(parts, { kind: 'condition', ...condition, utilities: classList(value) });
+      return;
+    }
+    if (value !== undefined || (ts.isIdentifier(expr) && expr.text === 'undefined')) return;
+
+    if (ts.isCallExpression(expr) && CLASS_MERGE_FUNCTIONS.has(calleeName(expr))) {
+      expr.arguments.forEach(arg => this.classParts(arg, parts, condition));
+    } else if (ts.isCallExpression(expr) && this.cvaDefinition(expr)) {
+      const definition = this.cvaDefinition(expr);
+      parts.utilities.push(...definition.base);
+      if (!parts.modifiers.some(m => m.definition === definition)) parts.modifiers.push({ kind: 'variants', definition });
+    } else if (ts.isArrayLiteralExpression(expr)) {
+      expr.elements.forEach(element => this.classParts(element, parts, condition));
+    } else if (ts.isObjectLiteralExpression(expr)) {
+      // clsx({ 'opacity-50': disabled })
+      expr.properties.forEach(p => {
+        if (!ts.isPropertyAssignment(p) || !(ts.isStringLiteral(p.name) || ts.isIdentifier(p.name))) return;
+        const own = this.modifierCondition(p.initializer);
+        if (own && !condition) this.addModifier(parts, { kind: 'condition', ...own, utilities: classList(p.name.text) });
+      });
+    } else if (ts.isBinaryExpression(expr) && expr.operatorToken.kind === ts.SyntaxKind.AmpersandAmpersandToken) {
+      const own = this.modifierCondition(expr.left);
+      if (own && !condition) this.classParts(expr.right, parts, own);
+    } else if (ts.isConditionalExpression(expr)) {
+      const own = this.modifierCondition(expr.condition);
+      if (own && !condition) {
+        this.classParts(expr.whenTrue, parts, own);
+        this.classParts(expr.whenFalse, parts, this.negatedCondition(own));
+      }
+    } else if (!condition) {
+      const ruby = this.expression(expr);
+      if (ruby !== null) parts.dynamic.push(ruby);
+    }
+  }
+
+  addModifier(parts, modifier) {
+    const existing = parts.modifiers.find(m => m.kind === 'condition' && m.name === modifier.name);
+    if (existing) existing.utilities.push(...modifier.utilities);
+    else parts.modifiers.push(modifier);
+  }
+
+  // `{ name, ruby }` for a prop-driven class condition: `active`, `!disabled`,
+  // `status === 'done'` (modifiers `active`, `not-disabled`, `status-done`); null otherwise.
+  modifierCondition(node) {
+    const ts = loadTypeScript();
+    const expr = unwrapParens(node);
+    const propName = n => {
+      const target = unwrapParens(n);
+      if (ts.isIdentifier(target) && !this.isLocal(target.text) && this.props.has(target.text)) return target.text;
+      if (ts.isPropertyAccessExpression(target) && this.props.has(target.name.text) && this.expression(target) !== null) return target.name.text;
+      return null;
+    };
+
+    const prop = propName(expr);
+    if (prop) return { name: toKebabCase(prop), ruby: this.identifier(prop) };
+    if (ts.isPrefixUnaryExpression(expr) && expr.operator === ts.SyntaxKind.ExclamationToken) {
+      return this.negatedCondition(this.modifierCondition(expr.operand));
+    }
+    const equality = [ts.SyntaxKind.EqualsEqualsEqualsToken, ts.SyntaxKind.ExclamationEqualsEqualsToken];
+    if (ts.isBinaryExpression(expr) && equality.includes(expr.operatorToken.kind)) {
+      const [subject, other] = propName(expr.left) ? [expr.left, expr.right] : [expr.right, expr.left];
+      const name = propName(subject);
+      const value = literalValue(other);
+      if (!name || !['string', 'number'].includes(typeof value)) return null;
+      const condition = { name: `${toKebabCase(name)}-${toKebabCase(String(value))}`, ruby: `${this.identifier(name)}.to_s == ${rubyString(String(value))}` };
+      return expr.operatorToken.kind === ts.SyntaxKind.EqualsEqualsEqualsToken ? condition : this.negatedCondition(condition);
+    }
+    return null;
+  }
+
+  negatedCondition(condition) {
+    if (!condition) return null;
+    if (condition.name.startsWith('not-')) return { name: condition.name.slice(4), ruby: condition.ruby.replace(/^!/, '').replace(' != ', ' == ') };
+    const ruby = condition.ruby.includes(' == ') ? condition.ruby.replace(' == ', ' != ') : `!${condition.ruby}`;
+    return { name: `not-${condition.name}`, ruby };
+  }
+
+  // `click->block#handleClick`, one per key for filtered keyboard actions.
+  actionDescriptors(attr) {
+    if (!this.stimulusController) return [];
+    const action = (this.analysis.actions || []).find(a => a.pos === attr.pos);
+    if (!action) return [];
+    const events = action.keys.length ? action.keys.map(key => `${action.event}.${key}`) : [action.event];
+    return events.map(event => `${event}->${this.stimulusController}#${action.handler}`);
+  }
+
+  // Stimulus target name for `ref={inputRef}` when the ref is a known element ref.
+  refTarget(attr) {
+    const ts = loadTypeScript();
+    const expr = attr.initializer && attr.initializer.expression;
+    if (!this.stimulusController || !expr || !ts.isIdentifier(expr)) return null;
+    return this.targets.get(expr.text) || null;
+  }
+
+  /**
+   * `<Check size={16} className="text-green-600" />` →
+   * `<%= icon "check", library: "lucide", class: "size-4 text-green-600" %>`.
+   * Sizes on the Tailwind scale become `size-*` classes, others width/height.
+   */
+  icon(tag, opening) {
+    const ts = loadTypeScript();
+    const { lucide, rails } = this.analysis.iconMap[tag];
+    if (!rails) return [{ kind: 'comment', text: `TODO: no rails_icons equivalent for lucide-react ${lucide}` }];
+
+    const classes = [];
+    const args = [];
+    const todos = [];
+    opening.attributes.properties.forEach(attr => {
+      if (ts.isJsxSpreadAttribute(attr)) {
+        todos.push({ kind: 'todo', source: attr.getText() });
+        return;
+      }
+      const key = attr.name.getText();
+      if (this.isBehaviourAttribute(key)) return;
+      const literal = attr.initializer ? stringLiteralValue(attr.initializer) : null;
+      const expr = attr.initializer && attr.initializer.expression;
+      const ruby = !attr.initializer ? 'true' : literal !== null ? rubyString(literal) : expr ? this.expression(expr) : null;
+
+      if (key === 'size' && expr && ts.isNumericLiteral(expr) && Number(expr.text) % 4 === 0) {
+        classes.push({ text: `size-${Number(expr.text) / 4}` });
+      } else if (key === 'className' && ruby !== null) {
+        classes.push(literal !== null ? { text: literal } : { ruby });
+      } else if (key === 'size' && ruby !== null) {
+        args.push(`width: ${ruby}`, `height: ${ruby}`);
+      } else if (key === 'strokeWidth' && ruby !== null) {
+        args.push(`stroke_width: ${ruby}`);
+      } else if (key === 'color' && ruby !== null) {
+        args.push(`stroke: ${ruby}`);
+      } else if (/^(aria-|data-)|^(role|title)$/.test(key) && ruby !== null) {
+        args.push(`${rubyHashKey(key)} ${ruby}`);
+      } else {
+        todos.push({ kind: 'todo', source: attr.getText() });
+      }
+    });
+
+    if (classes.length) {
+      const onlyText = classes.every(c => c.text !== undefined);
+      const value = onlyText
+        ? rubyString(classes.map(c => c.text).join(' '))
+        : classes.length === 1
+          ? classes[0].ruby
+          : `"${classes.map(c => (c.text !== undefined ? rubyString(c.text).slice(1, -1) : `#{${c.ruby}}`)).join(' ')}"`;
+      args.unshift(`class: ${value}`);
+    }
+    const call = [`icon ${rubyString(rails)}`, `library: ${rubyString(CONFIG.icons.library)}`, ...args].join(', ');
+    // `helper` marks output that is a view helper call, which Phlex registers rather than escapes.
+    return [...todos, { kind: 'output', ruby: call, helper: 'icon' }];
+  }
+
+  /**
+   * `<Button variant="outline" size="sm" disabled>` →
+   * `<%= render RubyUI::Button.new(variant: :outline, size: :sm, disabled: true) do %>`.
+   * Mapped props take RubyUI symbols; with `asChild`, a single child element
+   * that has a RubyUI counterpart (`<a>` → RubyUI::Link) replaces the primitive.
+   */
+  uiComponent(tag, opening, children) {
+    const ts = loadTypeScript();
+    const { primitive, rubyUi } = this.analysis.uiComponents[tag];
+    if (!rubyUi) {
+      return [{ kind: 'comment', text: `TODO: no RubyUI equivalent for shadcn/ui ${primitive}` }, ...this.children(children)];
+    }
+
+    const mapping = rubyUiMappingFor(primitive);
+    const args = [];
+    const todos = [];
+    const actions = [];
+    let asChild = false;
+    // `"outline"` and `cond ? "default" : "ghost"` become RubyUI symbols when every value is mapped.
+    const mappedValue = (node, values) => {
+      const expr = unwrapParens(node);
+      if (ts.isStringLiteral(expr) || ts.isNoSubstitutionTemplateLiteral(expr)) {
+        return values[expr.text] ? `:${values[expr.text]}` : null;
+      }
+      if (!ts.isConditionalExpression(expr)) return null;
+      const [condition, whenTrue, whenFalse] = [
+        this.condition(expr.condition),
+        mappedValue(expr.whenTrue, values),
+        mappedValue(expr.whenFalse, values)
+      ];
+      return condition !== null && whenTrue && whenFalse ? `(${condition} ? ${whenTrue} : ${whenFalse})` : null;
+    };
+    const addAttribute = attr => {
+      if (ts.isJsxSpreadAttribute(attr)) {
+        todos.push(attr.getText());
+        return;
+      }
+      const key = attr.name.getText();
+      actions.push(...this.actionDescriptors(attr));
+      if (RADIX_CALLBACK_PROPS.has(key)) todos.push(attr.getText());
+      if (this.isBehaviourAttribute(key)) return;
+
+      const values = mapping.props[key];
+      const literal = attr.initializer ? stringLiteralValue(attr.initializer) : null;
+      let ruby;
+      if (values) {
+        const node = attr.initializer && (attr.initializer.expression || attr.initializer);
+        ruby = node ? mappedValue(node, values) : null;
+      } else if (!attr.initializer) {
+        ruby = 'true';
+      } else {
+        ruby = literal !== null ? rubyString(literal) : attr.initializer.expression ? this.expression(attr.initializer.expression) : null;
+      }
+      if (ruby === null) todos.push(attr.getText());
+      else args.push({ key: JSX_ATTRIBUTE_NAMES[key] || key, ruby });
+    };
+
+    opening.attributes.properties.forEach(attr => {
+      if (!ts.isJsxSpreadAttribute(attr) && attr.name.getText() === 'asChild') asChild = true;
+      else addAttribute(attr);
+    });
+
+    let className = rubyUi;
+    let content = children;
+    if (asChild) {
+      // Without a counterpart the child renders inside the RubyUI component,
+      // which wraps it the way asChild would.
+      const elements = Array.from(children).filter(c => !(ts.isJsxText(c) && !c.text.trim()));
+      const only = elements.length === 1 && (ts.isJsxElement(elements[0]) || ts.isJsxSelfClosingElement(elements[0])) ? elements[0] : null;
+      const childOpening = only && (ts.isJsxElement(only) ? only.openingElement : only);
+      const counterpart = childOpening && mapping.asChild[childOpening.tagName.getText()];
+      if (counterpart) {
+        className = `RubyUI::${counterpart}`;
+        childOpening.attributes.properties.forEach(addAttribute);
+        content = ts.isJsxElement(only) ? only.children : [];
+      }
+    }
+    if (actions.length) args.push({ key: 'data', ruby: `{ action: ${rubyString(actions.join(' '))} }` });
+
+    return [{ kind: 'component', className, args, todos, children: this.children(content) }];
+  }
+
+  // Component name of a child tag: its path under the component root when it
+  // is imported from one, otherwise the tag itself.
+  childComponentName(tag) {
+    const imported = (this.analysis.componentImports || {})[tag];
+    return (imported && componentNameFor(imported)) || tag;
+  }
+
+  component(tag, opening, children) {
+    const ts = loadTypeScript();
+    const args = [];
+    const todos = [];
+
+    opening.attributes.properties.forEach(attr => {
+      if (ts.isJsxSpreadAttribute(attr)) {
+        todos.push(attr.getText());
+        return;
+      }
+      const key = attr.name.getText();
+      if (this.isBehaviourAttribute(key)) return;
+      if (!attr.initializer) {
+        args.push({ key, ruby: 'true' });
+        return;
+      }
+      const literal = stringLiteralValue(attr.initializer);
+      const ruby =
+        literal !== null
+          ? rubyString(literal)
+          : attr.initializer.expression
+            ? this.expression(attr.initializer.expression)
+            : null;
+      if (ruby === null) todos.push(attr.getText());
+      else args.push({ key, ruby });
+    });
+
+    return {
+      kind: 'component',
+      className: railsComponentClass(namingFor(this.childComponentName(tag)).component.split('.').join('::')),
+      args,
+      todos,
+      children: this.children(children)
+    };
+  }
+
+  isLocal(name) {
+    return this.scopes.some(scope => scope.has(name));
+  }
+
+  // `content` stays as is: ViewComponent and the Phlex renderer both treat it specially.
+  slotReference(slot) {
+    return this.instanceVariables && slot.kind !== 'content' ? `@${slot.name}` : slot.name;
+  }
+
+  // The slot a prop reference (`header`, `props.header`) points at, if any.
+  slotFor(node) {
+    const ts = loadTypeScript();
+    const expr = unwrapParens(node);
+    let name = null;
+    if (ts.isIdentifier(expr) && !this.isLocal(expr.text)) name = expr.text;
+    if (ts.isPropertyAccessExpression(expr) && ts.isIdentifier(expr.expression) && expr.expression.text === this.analysis.propsParam) {
+      name = expr.name.text;
+    }
+    return name ? this.slots.get(name) || null : null;
+  }
+
+  // `params` / `props.params` once its segments are props of their own (expandRouteParams).
+  isRouteParams(node) {
+    const ts = loadTypeScript();
+    if (!this.routeParams.size) return false;
+    if (ts.isIdentifier(node)) return node.text === 'params' && !this.isLocal('params');
+    return (
+      ts.isPropertyAccessExpression(node) &&
+      node.name.text === 'params' &&
+      ts.isIdentifier(node.expression) &&
+      node.expression.text === this.analysis.propsParam
+    );
+  }
+
+  identifier(name) {
+    if (name === 'undefined') return 'nil';
+    if (this.isLocal(name)) return name;
+    if (this.slots.has(name)) return this.slotReference(this.slots.get(name));
+    if (this.props.has(name)) return this.instanceVariables ? `@${name}` : name;
+    if (this.state.has(name)) {
+      // Server-side render uses the initial React state.
+      const initial = this.state.get(name);
+      this.state.delete(name);
+      const ruby = initial ? this.expression(parseExpression(initial)) : null;
+      this.state.set(name, initial);
+      if (ruby === null) return null;
+      return /\s/.test(ruby) ? `(${ruby})` : ruby;
+    }
+    return null;
+  }
+
+  /**
+   * Translates a JS expression to Ruby, or returns null when it cannot.
+   */
+  expression(node) {
+    const ts = loadTypeScript();
+    if (ts.isParenthesizedExpression(node)) {
+      const inner = this.expression(node.expression);
+      return inner === null ? null : `(${inner})`;
+    }
+    if (ts.isIdentifier(node)) return this.identifier(node.text);
+    if (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node)) return rubyString(node.text);
+    if (ts.isNumericLiteral(node)) return node.text;
+    if (node.kind === ts.SyntaxKind.TrueKeyword) return 'true';
+    if (node.kind === ts.SyntaxKind.FalseKeyword) return 'false';
+    if (node.kind === ts.SyntaxKind.NullKeyword) return 'nil';
+
+    // Calling a render prop renders its slot.
+    if (ts.isCallExpression(node) && !node.arguments.length) {
+      const slot = this.slotFor(node.expression);
+      if (slot && slot.render) return this.slotReference(slot);
+    }
+
+    if (ts.isTemplateExpression(node)) {
+      const escape = text => rubyString(text).slice(1, -1);
+      let out = escape(node.head.text);
+      for (const span of node.templateSpans) {
+        const inner = this.expression(span.expression);
+        if (inner === null) return null;
+        out += `#{${inner}}${escape(span.literal.text)}`;
+      }
+      return `"${out}"`;
+    }
+
+    if (ts.isArrayLiteralExpression(node)) {
+      const elements = node.elements.map(e => this.expression(e));
+      return elements.includes(null) ? null : `[${elements.join(', ')}]`;
+    }
+
+    if (ts.isObjectLiteralExpression(node)) {
+      const pairs = node.properties.map(p => {
+        if (!ts.isPropertyAssignment(p) || !(ts.isIdentifier(p.name) || ts.isStringLiteral(p.name))) return null;
+        const value = this.expression(p.initializer);
+        return value === null ? null : `${rubyHashKey(p.name.text)} ${value}`;
+      });
+      if (pairs.includes(null)) return null;
+      return pairs.length ? `{ ${pairs.join(', ')} }` : '{}';
+    }
+
+    const formError = this.formError(node);
+    if (formError !== undefined) return formError;
+
+    if (ts.isPropertyAccessExpression(node)) {
+      const target = node.expression;
+      if (ts.isIdentifier(target) && target.text === this.analysis.propsParam) {
+        return this.identifier(node.name.text);
+      }
+      if (this.isRouteParams(target) && this.routeParams.has(node.name.text)) return this.identifier(node.name.text);
+      const object = this.expression(target);
+      if (object === null) return null;
+      return `${object}${node.questionDotToken ? '&.' : '.'}${node.name.text}`;
+    }
+
+    if (ts.isElementAccessExpression(node)) {
+      const object = this.expression(node.expression);
+      const index = this.expression(node.argumentExpression);
+      if (object === null || index === null) return null;
+      return `${object}${node.questionDotToken ? '&.' : ''}[${index}]`;
+    }
+
+    if (ts.isPrefixUnaryExpression(node)) {
+      const operand = this.expression(node.operand);
+      if (operand === null) return null;
+      if (node.operator === ts.SyntaxKind.ExclamationToken) return `!${operand}`;
+      if (node.operator === ts.SyntaxKind.MinusToken) return `-${operand}`;
+      return null;
+    }
+
+    if (ts.isBinaryExpression(node)) {
+      const operator = JS_TO_RUBY_OPERATORS[node.operatorToken.getText()];
+      const left = this.expression(node.left);
+      const right = this.expression(node.right);
+      if (!operator || left === null || right === null) return null;
+      return `${left} ${operator} ${right}`;
+    }
+
+    if (ts.isConditionalExpression(node)) {
+      const condition = this.expression(node.condition);
+      const whenTrue = this.expression(node.whenTrue);
+      const whenFalse = this.expression(node.whenFalse);
+      if (condition === null || whenTrue === null || whenFalse === null) return null;
+      return `${condition} ? ${whenTrue} : ${whenFalse}`;
+    }
+
+    return null;
+  }
+}
+
+const BEM_ELEMENT_NAMES = {
+  h1: 'title',
+  h2: 'title',
+  h3: 'title',
+  h4: 'title',
+  h5: 'title',
+  h6: 'title',
+  p: 'text',
+  span: 'label',
+  div: 'content',
+  ul: 'list',
+  ol: 'list',
+  li: 'item',
+  a: 'link',
+  img: 'image',
+  svg: 'icon'
+};
+
+function forEachMarkupNode(nodes, visit) {
+  nodes.forEach(node => {
+    visit(node);
+    ['children', 'then', 'else'].forEach(key => {
+      if (Array.isArray(node[key])) forEachMarkupNode(node[key], visit);
+    });
+  });
+}
+
+function staticClassAttr(node) {
+  return node.attrs.find(
+    a => a.name === 'class' && a.value.kind === 'segments' && a.value.segments.every(s => s.ruby === undefined)
+  );
+}
+
+// -----------------------------------------------------------------------------
+// ERB Renderer
+// -----------------------------------------------------------------------------
+
+function erbComment(text) {
+  return `<%# ${text.replace(/%>/g, '% >')} %>`;
+}
+
+function renderErbAttribute(attr) {
+  const { name, value } = attr;
+  if (value.kind === 'todo') return erbComment(`TODO: translate ${value.source}`);
+  if (value.kind === 'boolean') return name;
+  if (value.kind === 'conditional') return `<%= ${rubyString(name)} if ${value.ruby} %>`;
+  const text = value.segments.map(s => (s.ruby !== undefined ? `<%= ${s.ruby} %>` : escapeHtmlAttribute(s.text))).join('');
+  return `${name}="${text}"`;
+}
+
+// Ruby value of a translated attribute, for helper options (`class: "..."`).
+function rubyAttributeValue(value) {
+  if (value.kind === 'boolean') return 'true';
+  if (value.kind === 'conditional') return value.ruby;
+  const { segments } = value;
+  if (segments.length === 1 && segments[0].ruby !== undefined) return segments[0].ruby;
+  return `"${segments.map(s => (s.ruby !== undefined ? `#{${s.ruby}}` : rubyString(s.text).slice(1, -1))).join('')}"`;
+}
+
+// Form builder elements (`form.email_field :email`) take their attributes as options.
+function renderBuilderCall(node) {
+  const options = node.attrs.filter(a => a.value.kind !== 'todo').map(a => `${rubyHashKey(a.name)} ${rubyAttributeValue(a.value)}`);
+  if (!options.length) return node.builder;
+  // `form.button` takes no positional arguments, so its options follow a space.
+  return `${node.builder}${/^[\w.]+$/.test(node.builder) ? ' ' : ', '}${options.join(', ')}`;
+}
+
+function renderComponentCall(node) {
+  const args = node.args.map(a => `${rubyHashKey(a.key)} ${a.ruby}`).join(', ');
+  return `render ${node.className}.new${args ? `(${args})` : ''}`;
+}
+
+function isInlineNode(node) {
+  return node.kind === 'text' || node.kind === 'output';
+}
+
+function renderErbNode(node, depth) {
+  const pad = '  '.repeat(depth);
+  const inline = child => (child.kind === 'text' ? child.text : `<%= ${child.ruby} %>`);
+
+  switch (node.kind) {
+    case 'text':
+      return node.text.trim() ? [`${pad}${node.text.trim()}`] : [];
+    case 'output':
+      return [`${pad}${inline(node)}`];
+    case 'comment':
+      return [`${pad}${erbComment(node.text)}`];
+    case 'todo':
+      return [`${pad}${erbComment(`TODO: translate ${node.source}`)}`];
+    case 'if': {
+      if (!node.then.length && node.else.length) {
+        return [`${pad}<% unless ${node.condition} %>`, ...renderErbNodes(node.else, depth + 1), `${pad}<% end %>`];
+      }
+      const lines = [`${pad}<% if ${node.condition} %>`, ...renderErbNodes(node.then, depth + 1)];
+      if (node.else.length) lines.push(`${pad}<% else %>`, ...renderErbNodes(node.else, depth + 1));
+      lines.push(`${pad}<% end %>`);
+      return lines;
+    }
+    case 'each': {
+      const block = node.index
+        ? `${node.collection}.each_with_index do |${node.item}, ${node.index}|`
+        : `${node.collection}.each do |${node.item}|`;
+      return [`${pad}<% ${block} %>`, ...renderErbNodes(node.children, depth + 1), `${pad}<% end %>`];
+    }
+    case 'component': {
+      const todos = node.todos.map(t => `${pad}${erbComment(`TODO: translate ${t}`)}`);
+      if (!node.children.length) return [...todos, `${pad}<%= ${renderComponentCall(node)} %>`];
+      return [
+        ...todos,
+        `${pad}<%= ${renderComponentCall(node)} do %>`,
+        ...renderErbNodes(node.children, depth + 1),
+        `${pad}<% end %>`
+      ];
+    }
+    case 'element': {
+      if (node.builder) {
+        const todos = node.attrs.filter(a => a.value.kind === 'todo').map(a => `${pad}${renderErbAttribute(a)}`);
+        const call = renderBuilderCall(node);
+        if (!node.children.length) return [...todos, `${pad}<%= ${call} %>`];
+        const open = `<%= ${call} do${node.block ? ` |${node.block}|` : ''} %>`;
+        if (node.children.every(isInlineNode)) return [...todos, `${pad}${open}${node.children.map(inline).join('')}<% end %>`];
+        return [...todos, `${pad}${open}`, ...renderErbNodes(node.children, depth + 1), `${pad}<% end %>`];
+      }
+      const attrs = node.attrs.map(a => ` ${renderErbAttribute(a)}`).join('');
+      const open = `<${node.tag}${attrs}>`;
+      if (VOID_ELEMENTS.has(node.tag)) return [`${pad}${open}`];
+      if (node.children.every(isInlineNode)) {
+        return [`${pad}${open}${node.children.map(inline).join('')}</${node.tag}>`];
+      }
+      return [`${pad}${open}`, ...renderErbNodes(node.children, depth + 1), `${pad}</${node.tag}>`];
+    }
+    default:
+      return [];
+  }
+}
+
+function renderErbNodes(nodes, depth = 0) {
+  return nodes.flatMap(node => renderErbNode(node, depth));
+}
+
+// -----------------------------------------------------------------------------
+// Phlex Renderer
+// -----------------------------------------------------------------------------
+
+// Attribute prefixes passed to Phlex as nested hashes: `data: { controller: "..." }`.
+const PHLEX_ATTRIBUTE_GROUPS = ['data', 'aria'];
+
+function rubyComment(text) {
+  return `# ${text.replace(/\s*\n\s*/g, ' ')}`;
+}
+
+// Keyword options for a Phlex element method, plus TODOs for untranslated attributes.
+function phlexAttributes(attrs) {
+  const options = [];
+  const todos = [];
+  const groups = new Map();
+  attrs.forEach(({ name, value }) => {
+    if (value.kind === 'todo') {
+      todos.push(`TODO: translate ${value.source}`);
+      return;
+    }
+    const group = PHLEX_ATTRIBUTE_GROUPS.find(prefix => name.startsWith(`${prefix}-`));
+    if (!group) {
+      options.push(`${rubyHashKey(name)} ${rubyAttributeValue(value)}`);
+      return;
+    }
+    if (!groups.has(group)) {
+      groups.set(group, []);
+      options.push({ group });
+    }
+    groups.get(group).push(`${rubyHashKey(name.slice(group.length + 1))} ${rubyAttributeValue(value)}`);
+  });
+  return {
+    options: options.map(option => (option.group ? `${option.group}: { ${groups.get(option.group).join(', ')} }` : option)),
+    todos
+  };
+}
+
+// `div(class: "card")`; SVG children are called on the block's builder (`s.path`),
+// and tags that are not Ruby method names go through `tag`.
+function phlexElementCall(node, options, context) {
+  if (!/^[A-Za-z][A-Za-z0-9]*$/.test(node.tag)) return `tag(${[`:${rubyString(node.tag)}`, ...options].join(', ')})`;
+  const method = context.svg ? `s.${node.tag}` : node.tag;
+  return options.length ? `${method}(${options.join(', ')})` : method;
+}
+
+// Slots are rendered rather than escaped: `content` is the block passed to the
+// component and named slots hold anything `render` accepts. View helpers such
+// as `icon` are registered as output helpers and write their own markup.
+function phlexOutput(node, context) {
+  if (node.helper) return node.ruby;
+  if (node.ruby === 'content' && context.content) return 'yield if block_given?';
+  if (context.renderables.has(node.ruby)) return `render ${node.ruby}`;
+  return /\s/.test(node.ruby) ? `plain(${node.ruby})` : `plain ${node.ruby}`;
+}
+
+function renderPhlexNode(node, depth, context) {
+  const pad = '  '.repeat(depth);
+
+  switch (node.kind) {
+    case 'text':
+      return node.text.trim() ? [`${pad}plain ${rubyString(node.text.trim())}`] : [];
+    case 'output':
+      return [`${pad}${phlexOutput(node, context)}`];
+    case 'comment':
+      return [`${pad}${rubyComment(node.text)}`];
+    case 'todo':
+      return [`${pad}${rubyComment(`TODO: translate ${node.source}`)}`];
+    case 'if': {
+      if (!node.then.length && node.else.length) {
+        return [`${pad}unless ${node.condition}`, ...renderPhlexNodes(node.else, depth + 1, context), `${pad}end`];
+      }
+      const lines = [`${pad}if ${node.condition}`, ...renderPhlexNodes(node.then, depth + 1, context)];
+      if (node.else.length) lines.push(`${pad}else`, ...renderPhlexNodes(node.else, depth + 1, context));
+      lines.push(`${pad}end`);
+      return lines;
+    }
+    case 'each': {
+      const block = node.index
+        ? `${node.collection}.each_with_index do |${node.item}, ${node.index}|`
+        : `${node.collection}.each do |${node.item}|`;
+      // Entries of a renders_many style slot render themselves.
+      const inner = context.renderables.has(node.collection)
+        ? { ...context, renderables: new Set([...context.renderables, node.item]) }
+        : context;
+      return [`${pad}${block}`, ...renderPhlexNodes(node.children, depth + 1, inner), `${pad}end`];
+    }
+    case 'component': {
+      const todos = node.todos.map(t => `${pad}${rubyComment(`TODO: translate ${t}`)}`);
+      if (!node.children.length) return [...todos, `${pad}${renderComponentCall(node)}`];
+      return [...todos, `${pad}${renderComponentCall(node)} do`, ...renderPhlexNodes(node.children, depth + 1, context), `${pad}end`];
+    }
+    case 'element': {
+      if (node.builder) {
+        const todos = node.attrs.filter(a => a.value.kind === 'todo').map(a => `${pad}${rubyComment(`TODO: translate ${a.value.source}`)}`);
+        const call = renderBuilderCall(node);
+        if (!node.children.length) return [...todos, `${pad}${call}`];
+        return [
+          ...todos,
+          `${pad}${call} do${node.block ? ` |${node.block}|` : ''}`,
+          ...renderPhlexNodes(node.children, depth + 1, context),
+          `${pad}end`
+        ];
+      }
+      const { options, todos } = phlexAttributes(node.attrs);
+      const lead = todos.map(t => `${pad}${rubyComment(t)}`);
+      const call = phlexElementCall(node, options, context);
+      if (VOID_ELEMENTS.has(node.tag) || !node.children.length) return [...lead, `${pad}${call}`];
+
+      const [only] = node.children;
+      if (node.tag !== 'svg' && node.children.length === 1 && isInlineNode(only)) {
+        const inline = only.kind === 'text' ? rubyString(only.text.trim()) : phlexOutput(only, context);
+        return [...lead, `${pad}${call} { ${inline} }`];
+      }
+      // Inline runs keep their spacing (`Hello, ` + name), as in the ERB renderer.
+      const children = node.children.every(isInlineNode)
+        ? node.children
+            .filter(child => child.kind !== 'text' || child.text)
+            .map(child => `${pad}  ${child.kind === 'text' ? `plain ${rubyString(child.text)}` : phlexOutput(child, context)}`)
+        : renderPhlexNodes(node.children, depth + 1, node.tag === 'svg' ? { ...context, svg: true } : context);
+      return [...lead, `${pad}${call} do${node.tag === 'svg' ? ' |s|' : ''}`, ...children, `${pad}end`];
+    }
+    default:
+      return [];
+  }
+}
+
+// `context`: { content: whether `content` is the block, renderables: slot references, svg }.
+function renderPhlexNodes(nodes, depth = 0, context = { content: false, renderables: new Set(), svg: false }) {
+  return nodes.flatMap(node => renderPhlexNode(node, depth, context));
+}
+
+// -----------------------------------------------------------------------------
+// ViewComponent Generator
+// -----------------------------------------------------------------------------
+
+class ViewComponentGenerator {
+  constructor(analysis, rbTemplate, erbTemplate, cssTemplate) {
+    this.analysis = analysis;
+    this.rbTemplate = rbTemplate;
+    this.erbTemplate = erbTemplate;
+    this.cssTemplate = cssTemplate;
+    // Templates read props through attr_readers rather than `@name`.
+    this.instanceVariables = false;
+  }
+
+  propReference(name) {
+    return this.instanceVariables ? `@${name}` : name;
+  }
+
+  async generate() {
+    const { bemBlock, stimulus: stimulusController } = namingFor(this.analysis.componentName);
+    const markup = this.buildMarkup(bemBlock, stimulusController);
+
+    return {
+      rb: this.generateRb(bemBlock, markup.modifiers),
+      erb: this.generateErb(bemBlock, stimulusController, markup),
+      css: this.generateCss(bemBlock, markup)
+    };
+  }
+
+  generateRb(bemBlock, modifiers = []) {
     return this.rbTemplate
-      .replace(/{{component_name}}/g, this.analysis.name)
+      .replace(/{{component_name}}/g, namingFor(this.analysis.componentName).component)
       .replace(/{{props}}/g, this.generatePropsSignature())
       .replace(/{{prop_attrs}}/g, this.generatePropAttrs())
       .replace(/{{prop_assignments}}/g, this.generatePropAssignments())
+      .replace(/{{modifier_classes}}/g, () => this.generateModifierClasses(bemBlock, modifiers))
+      .replace(/{{form_params}}/g, this.generateFormParams())
+      .replace(/{{bem_block}}/g, bemBlock)
+      .replace(/{{react_file_path}}/g, this.analysis.filePath || 'unknown')
+      .replace(/{{timestamp}}/g, new Date().toISOString());
+  }
+
+  generateErb(bemBlock, stimulusController, markup) {
+    return this.erbTemplate
+      .replace(/{{bem_block}}/g, bemBlock)
+      .replace(/{{stimulus_controller}}/g, stimulusController)
+      .replace(/{{html_structure}}/g, renderErbNodes([markup.root]).join('\n'))
+      .replace(/{{react_file_path}}/g, this.analysis.filePath || 'unknown')
+      .replace(/{{timestamp}}/g, new Date().toISOString());
+  }
+
+  generateCss(bemBlock, markup) {
+    return this.cssTemplate
       .replace(/{{bem_block}}/g, bemBlock)
+      .replace(/{{bem_rules}}/g, this.generateBemRules(markup.rules))
+      .replace(/{{react_file_path}}/g, this.analysis.filePath || 'unknown')
+      .replace(/{{timestamp}}/g, new Date().toISOString());
+  }
+
+  // Props passed as keyword arguments; slot props are filled by the caller instead.
+  dataProps() {
+    return this.analysis.props.filter(p => !p.slot);
+  }
+
+  generatePropAttrs() {
+    const constants = this.dataProps()
+      .filter(p => p.values)
+      .map(p => `${this.optionsConstant(p)} = ${rubyArray(p.values)}.freeze`);
+    const slots = this.analysis.props
+      .filter(p => p.slot && p.slot.kind !== 'content')
+      .map(p => {
+        const origin = p.slot.render ? ` # React: ${p.name}(${p.slot.params})` : '';
+        return `${slotDeclaration(p.slot)}${origin}`;
+      });
+    const readers = this.dataProps().map(p => `attr_reader :${p.name}`);
+    return [constants, slots, readers]
+      .filter(group => group.length)
+      .map(group => group.join('\n  '))
+      .join('\n\n  ') || '# No props';
+  }
+
+  // The root element's `block--size-md` style classes, from cva variants and prop-driven class conditions.
+  generateModifierClasses(bemBlock, modifiers) {
+    if (!modifiers.length) return '';
+    const entries = modifierClasses(bemBlock, modifiers, name => this.propReference(name)).map(({ name, condition }) =>
+      condition ? `("${name}" if ${condition})` : `"${name}"`
+    );
+    return [
+      '',
+      '',
+      '  # BEM modifiers from the React variants and conditional classes',
+      '  def modifier_classes',
+      '    [',
+      `      ${entries.join(',\n      ')}`,
+      '    ].compact.join(" ")',
+      '  end'
+    ].join('\n');
+  }
+
+  // Strong-parameters stub for the controller the form posts to.
+  generateFormParams() {
+    const { form } = this.analysis;
+    if (!form || !form.fields.length) return '';
+    const permitted = form.fields.map(f => `:${toSnakeCase(f)}`).join(', ');
+    const lines = form.model
+      ? [
+          `# Strong parameters for ${toPascalCase(pluralize(toSnakeCase(form.model)))}Controller, which this form posts to:`,
+          '#',
+          `#   def ${toSnakeCase(form.model)}_params`,
+          `#     params.require(:${toSnakeCase(form.model)}).permit(${permitted})`,
+          '#   end'
+        ]
+      : [
+          '# Strong parameters for the controller action this form posts to:',
+          '#',
+          `#   def ${path.basename(namingFor(this.analysis.componentName).path)}_params`,
+          `#     params.permit(${permitted})`,
+          '#   end'
+        ];
+    return `\n\n  ${lines.join('\n  ')}`;
+  }
+
+  optionsConstant(prop) {
+    return `${toSnakeCase(prop.name).toUpperCase()}_OPTIONS`;
+  }
+
+  // Props default to their destructuring default or the cva() `defaultVariants`;
+  // options are symbols, other values Ruby literals.
+  generatePropsSignature() {
+    return this.dataProps()
+      .map(p => {
+        if (p.rubyDefault) return `${p.name}: ${p.rubyDefault}`;
+        if (p.default !== undefined && p.default !== null) {
+          return `${p.name}: ${p.values ? rubyOptionValue(p.default) : rubyLiteral(p.default)}`;
+        }
+        return `${p.name}${p.optional ? ': nil' : ':'}`;
+      })
+      .join(', ');
+  }
+
+  // Props typed as literal unions only accept the values React allows;
+  // string options also accept symbols (`variant: :primary`).
+  generatePropAssignments() {
+    if (!this.dataProps().length) return '# no props detected';
+    const assignments = this.dataProps().map(p => `@${p.name} = ${p.name}`);
+    const checks = this.dataProps()
+      .filter(p => p.values)
+      .map(p => {
+        const constant = this.optionsConstant(p);
+        const numeric = p.values.every(v => typeof v === 'number');
+        const value = numeric ? p.name : `${p.name}.to_s`;
+        const nilGuard = p.optional ? `${p.name}.nil? || ` : '';
+        return (
+          `raise ArgumentError, "${p.name} must be one of #{${constant}.join(', ')}" ` +
+          `unless ${nilGuard}${constant}.include?(${value})`
+        );
+      });
+    return [assignments, checks]
+      .filter(group => group.length)
+      .map(group => group.join('\n    '))
+      .join('\n\n    ');
+  }
+
+  // The returned JSX root becomes the BEM block element when it is a plain
+  // HTML element; otherwise the translated markup is wrapped in a <div>.
+  // Static `className` utilities move into `@apply` rules: the root's onto the
+  // block, every other classed element onto a derived `__element`.
+  buildMarkup(bemBlock, stimulusController) {
+    const translator = new JsxTranslator(this.analysis, { stimulusController, instanceVariables: this.instanceVariables });
+    const nodes = translator.translate(this.analysis.jsx);
+    const rules = [];
+
+    let root;
+    if (nodes.length === 1 && nodes[0].kind === 'element') {
+      root = nodes[0];
+    } else {
+      root = {
+        kind: 'element',
+        tag: 'div',
+        attrs: [],
+        children: nodes.length ? nodes : [{ kind: 'comment', text: 'Add component content here' }]
+      };
+    }
+
+    const modifiersOf = node => (staticClassAttr(node) || {}).modifiers || [];
+    const rootModifiers = modifiersOf(root);
+    rules.push({ selector: `.${bemBlock}`, utilities: this.applyBemClass(root, bemBlock, true) });
+    rules.push(...modifierRules(bemBlock, rootModifiers));
+    root.attrs.splice(
+      1,
+      0,
+      { name: 'data-controller', value: { kind: 'segments', segments: [{ text: stimulusController }] } },
+      ...this.stimulusValueAttrs(translator, stimulusController)
+    );
+
+    const usedNames = new Map();
+    forEachMarkupNode(root.children, node => {
+      if (node.kind !== 'element' || !staticClassAttr(node)) return;
+      const base = BEM_ELEMENT_NAMES[node.tag] || node.tag;
+      const count = (usedNames.get(base) || 0) + 1;
+      usedNames.set(base, count);
+      const className = `${bemBlock}__${count > 1 ? `${base}-${count}` : base}`;
+      const modifiers = modifiersOf(node);
+      rules.push({ selector: `.${className}`, utilities: this.applyBemClass(node, className) });
+      rules.push(...modifierRules(className, modifiers));
+    });
+
+    return { root, rules, modifiers: rootModifiers };
+  }
+
+  // `data-<controller>-<name>-value` attributes carrying each piece of state's
+  // initial value, so the controller starts from what the server rendered.
+  stimulusValueAttrs(translator, stimulusController) {
+    const ts = loadTypeScript();
+    return this.analysis.state.flatMap(state => {
+      if (!state.initialValue) return [];
+      const name = `data-${stimulusController}-${toKebabCase(state.name)}-value`;
+      const initial = unwrapParens(parseExpression(state.initialValue));
+      if (ts.isStringLiteral(initial) || ts.isNoSubstitutionTemplateLiteral(initial)) {
+        return [{ name, value: { kind: 'segments', segments: [{ text: initial.text }] } }];
+      }
+      if (initial.kind === ts.SyntaxKind.NullKeyword) return [];
+
+      const ruby = translator.identifier(state.name);
+      if (ruby === null) return [{ name, value: { kind: 'todo', source: `${name}={${state.initialValue}}` } }];
+      if (isLiteralExpression(initial) && !ts.isArrayLiteralExpression(initial) && !ts.isObjectLiteralExpression(initial)) {
+        return [{ name, value: { kind: 'segments', segments: [{ text: initial.getText() }] } }];
+      }
+      const serialized = ['Array', 'Object'].includes(stimulusValueType(state)) ? `${ruby}.to_json` : ruby;
+      return [{ name, value: { kind: 'segments', segments: [{ ruby: serialized }] } }];
+    });
+  }
+
+  // Replaces an element's static class list with `className` (kept first in
+  // the attribute list) and returns the Tailwind utilities it carried; other
+  // classes (`users`, `prose`) stay on the element. Modifiers from cn()/cva()
+  // come from `modifier_classes` on the root and inline elsewhere.
+  applyBemClass(node, className, root = false) {
+    const existing = staticClassAttr(node);
+    const classes = existing ? existing.value.segments.map(s => s.text).join(' ').split(/\s+/).filter(Boolean) : [];
+    const utilities = classes.filter(isTailwindUtility);
+    const dynamic = node.attrs.find(a => a.name === 'class' && a !== existing);
+    const plain = classes.filter(cls => cls !== className && !isTailwindUtility(cls));
+    const segments = [{ text: [className, ...plain].join(' ') }];
+    const modifiers = (existing && existing.modifiers) || [];
+    if (modifiers.length && root) segments.push({ text: ' ' }, { ruby: 'modifier_classes' });
+    if (modifiers.length && !root) {
+      modifierClasses(className, modifiers, name => this.propReference(name)).forEach(({ name, condition }) => {
+        segments.push({ ruby: `" ${name}"${condition ? ` if ${condition}` : ''}` });
+      });
+    }
+    ((existing && existing.dynamic) || []).forEach(ruby => segments.push({ text: ' ' }, { ruby }));
+    if (dynamic && dynamic.value.kind === 'segments') segments.push({ text: ' ' }, ...dynamic.value.segments);
+
+    node.attrs = [
+      { name: 'class', value: { kind: 'segments', segments } },
+      ...node.attrs.filter(a => a.name !== 'class')
+    ];
+    return utilities;
+  }
+
+  generateBemRules(rules) {
+    const applied = new Set(rules.flatMap(r => r.utilities));
+    const formatRule = rule =>
+      rule.utilities.length ? `${rule.selector} {\n  @apply ${rule.utilities.join(' ')};\n}` : `${rule.selector} {\n}`;
+
+    const [block, ...rest] = rules;
+    const elements = rest.filter(r => !r.modifier);
+    const modifiers = rest.filter(r => r.modifier);
+    const sections = [formatRule(block)];
+    if (elements.length) sections.push(`/* Elements */\n${elements.map(formatRule).join('\n\n')}`);
+    if (modifiers.length) sections.push(`/* Modifiers */\n${modifiers.map(formatRule).join('\n\n')}`);
+
+    const unmapped = this.analysis.tailwindClasses.filter(c => !applied.has(c) && isTailwindUtility(c));
+    if (unmapped.length) {
+      sections.push(`/* Utilities used outside plain elements (components, dynamic classes): ${unmapped.join(' ')} */`);
+    }
+    return sections.join('\n\n');
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Phlex Generator
+// -----------------------------------------------------------------------------
+
+/**
+ * `--format=phlex`: the ViewComponent markup (BEM classes, Stimulus attributes,
+ * RubyUI calls) as the `view_template` of a `Components::<Name> < Phlex::HTML`
+ * class. Phlex has no slots, so named slots become keyword arguments holding
+ * anything `render` accepts and the content slot is the block.
+ */
+class PhlexComponentGenerator extends ViewComponentGenerator {
+  constructor(analysis, rbTemplate, cssTemplate) {
+    super(analysis, rbTemplate, null, cssTemplate);
+    this.instanceVariables = true;
+  }
+
+  async generate() {
+    const { bemBlock, stimulus: stimulusController } = namingFor(this.analysis.componentName);
+    const markup = this.buildMarkup(bemBlock, stimulusController);
+    const context = {
+      content: this.analysis.props.some(p => p.slot && p.slot.kind === 'content'),
+      renderables: new Set(this.slotProps().map(p => this.propReference(p.slot.name))),
+      svg: false
+    };
+
+    return {
+      rb: this.generateRb(bemBlock, markup.modifiers)
+        .replace(/{{helpers}}/g, this.generateHelpers(markup.root))
+        .replace(/{{html_structure}}/g, () => renderPhlexNodes([markup.root], 2, context).join('\n')),
+      erb: null,
+      css: this.generateCss(bemBlock, markup)
+    };
+  }
+
+  slotProps() {
+    return this.analysis.props.filter(p => p.slot && p.slot.kind !== 'content');
+  }
+
+  // Rails helpers the markup calls: form_with needs phlex-rails' adapter, and
+  // rails_icons' `icon` is registered so its SVG is output rather than escaped.
+  generateHelpers(root) {
+    const helpers = new Set();
+    forEachMarkupNode([root], node => {
+      if (node.kind === 'element' && node.builder && node.builder.startsWith('form_with')) {
+        helpers.add('include Phlex::Rails::Helpers::FormWith');
+      }
+      if (node.kind === 'output' && node.helper) helpers.add(`register_output_helper :${node.helper}`);
+    });
+    return helpers.size ? `${Array.from(helpers).join('\n  ')}\n\n  ` : '';
+  }
+
+  // Props are read as instance variables: readers would shadow element methods such as `label`.
+  generatePropAttrs() {
+    const constants = this.dataProps()
+      .filter(p => p.values)
+      .map(p => `${this.optionsConstant(p)} = ${rubyArray(p.values)}.freeze`);
+    if (constants.length) return constants.join('\n  ');
+    return this.analysis.props.length ? '# Props are read as instance variables' : '# No props';
+  }
+
+  // Named slots default to empty; `content` is the block passed to the component.
+  generatePropsSignature() {
+    const slots = this.slotProps().map(p => `${p.slot.name}: ${p.slot.kind === 'many' ? '[]' : 'nil'}`);
+    return [super.generatePropsSignature(), ...slots].filter(Boolean).join(', ');
+  }
+
+  generatePropAssignments() {
+    const slots = this.slotProps().map(p => `@${p.slot.name} = ${p.slot.name}`);
+    if (!slots.length) return super.generatePropAssignments();
+    const props = this.dataProps().length ? [super.generatePropAssignments()] : [];
+    return [...props, slots.join('\n    ')].join('\n\n    ');
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Stimulus Generator
+// -----------------------------------------------------------------------------
+
+class StimulusGenerator {
+  constructor(analysis, template) {
+    this.analysis = analysis;
+    this.template = template;
+  }
+
+  async generate() {
+    return this.template
+      .replace(/{{component_name}}/g, namingFor(this.analysis.componentName).stimulus)
+      .replace(/{{stimulus_values}}/g, this.generateValues())
+      .replace(/{{stimulus_targets}}/g, this.generateTargets())
+      .replace(/{{initialization_code}}/g, this.generateInitCode())
+      .replace(/{{value_callbacks}}/g, this.generateValueCallbacks())
+      .replace(/{{cleanup_code}}/g, this.generateCleanupCode())
+      .replace(/{{action_methods}}/g, this.generateActionMethods())
       .replace(/{{react_file_path}}/g, this.analysis.filePath || 'unknown')
       .replace(/{{timestamp}}/g, new Date().toISOString());
   }
 
-  generateErb(bemBlock, stimulusController) {
-    return this.erbTemplate
-      .replace(/{{bem_block}}/g, bemBlock)
-      .replace(/{{stimulus_controller}}/g, stimulusController)
-      .replace(/{{html_structure}}/g, this.generateHtmlStructure())
-      .replace(/{{react_file_path}}/g, this.analysis.filePath || 'unknown')
-      .replace(/{{timestamp}}/g, new Date().toISOString());
+  // State becomes values; literal initial values become their defaults.
+  generateValues() {
+    return this.analysis.state
+      .map(s => {
+        const type = stimulusValueType(s);
+        const initial = s.initialValue ? parseExpression(s.initialValue) : null;
+        if (!initial || !isLiteralExpression(initial)) return `${s.name}: ${type}`;
+        return `${s.name}: { type: ${type}, default: ${initial.getText().replace(/\s+/g, ' ')} }`;
+      })
+      .join(', ');
+  }
+
+  // Refs attached to elements become targets (`inputRef` → "input").
+  generateTargets() {
+    return this.analysis.refs
+      .filter(r => r.target)
+      .map(r => `"${r.target}"`)
+      .join(', ');
+  }
+
+  // Effects that do not depend on state run once, like React's mount effect.
+  generateInitCode() {
+    const effects = this.analysis.effects.filter(e => !this.stateDeps(e).length);
+    if (!effects.length) return '// No mount effects in the React component';
+    return effects.map(e => this.reactReference(e.source)).join('\n\n    ');
+  }
+
+  // Effects that depend on state re-run when the matching value changes.
+  // An effect with several state dependencies is quoted in the first callback
+  // and referenced from the others.
+  generateValueCallbacks() {
+    const callbacks = new Map();
+    this.analysis.effects.forEach(effect => {
+      this.stateDeps(effect).forEach((dep, i, deps) => {
+        if (!callbacks.has(dep)) callbacks.set(dep, []);
+        callbacks
+          .get(dep)
+          .push(i === 0 ? this.reactReference(effect.source) : `// TODO: same React effect as ${deps[0]}ValueChanged()`);
+      });
+    });
+    return Array.from(callbacks, ([dep, bodies]) => `${dep}ValueChanged() {\n    ${bodies.join('\n\n    ')}\n  }`)
+      .map(method => `${method}\n\n  `)
+      .join('');
+  }
+
+  generateCleanupCode() {
+    const cleanups = this.analysis.effects.filter(e => e.cleanup);
+    if (!cleanups.length) return '// No effect cleanup in the React component';
+    return cleanups.map(e => this.reactReference(e.cleanup, 'React cleanup')).join('\n\n    ');
+  }
+
+  stateDeps(effect) {
+    return (effect.deps || []).filter(dep => this.analysis.state.some(s => s.name === dep));
+  }
+
+  // The original React code as a commented reference for porting by hand.
+  reactReference(source, label = 'React') {
+    const lines = source.split('\n').map(line => `// ${line}`.trimEnd());
+    return [`// TODO: port from ${label}:`, ...lines].join('\n    ');
+  }
+
+  // Handlers quote their React code; a callback prop (`onSave`) has none
+  // here, so its method suggests telling the parent through an event.
+  generateActionMethods() {
+    if (!this.analysis.handlers.length) {
+      return '// Add event handlers here';
+    }
+    return this.analysis.handlers
+      .map(h => {
+        const event = toKebabCase(h.name.replace(/^on(?=[A-Z])/, ''));
+        const body = h.source
+          ? this.reactReference(h.source)
+          : `// TODO: ${h.name} is a React prop; notify the parent instead, e.g. this.dispatch("${event}")`;
+        return `${h.name}(event) {\n    ${body}\n  }`;
+      })
+      .join('\n\n  ');
+  }
+}
+
+// Stimulus value type for a piece of state, from its type argument or, when
+// there is none, from its initial value.
+function stimulusValueType(state) {
+  const type = (state.type || '').toLowerCase();
+  if (type !== 'unknown' && type) {
+    if (type.includes('[]') || type.includes('array')) return 'Array';
+    if (type.includes('number')) return 'Number';
+    if (type.includes('boolean')) return 'Boolean';
+    if (type.includes('string')) return 'String';
+    if (type.includes('record') || type.includes('object') || type.startsWith('{')) return 'Object';
+  }
+
+  const ts = loadTypeScript();
+  const initial = state.initialValue ? unwrapParens(parseExpression(state.initialValue)) : null;
+  if (!initial) return 'String';
+  if (ts.isNumericLiteral(initial) || ts.isPrefixUnaryExpression(initial)) return 'Number';
+  if (initial.kind === ts.SyntaxKind.TrueKeyword || initial.kind === ts.SyntaxKind.FalseKeyword) return 'Boolean';
+  if (ts.isArrayLiteralExpression(initial)) return 'Array';
+  if (ts.isObjectLiteralExpression(initial)) return 'Object';
+  return 'String';
+}
+
+// -----------------------------------------------------------------------------
+// Model Generator
+// -----------------------------------------------------------------------------
+
+// Rails enum key for a string value: `in-progress` → `in_progress`.
+function enumKey(value) {
+  return toSnakeCase(value).replace(/[^a-z0-9_]+/g, '_');
+}
+
+class ModelGenerator {
+  // `schemas` are the Zod schemas from readZodSchemas(); a model's schema replaces the name-based validations.
+  constructor(resolver, template, schemas = []) {
+    this.resolver = resolver;
+    this.template = template;
+    this.schemas = schemas;
+    this.models = [];
+  }
+
+  async parse() {
+    const entities = await this.resolver.collectEntities();
+    const entityNames = new Set(entities.map(e => e.name));
+    for (const entity of entities) {
+      const entry = await this.resolver.load(path.resolve(ROOT, entity.sourcePath));
+      const domains = this.resolver.domainsFor(entry.sourceFile);
+      const fields = entity.fields.map(field => ({ ...field, values: literalUnionValues(field.type, domains) }));
+      const schema = zodSchemaForModel(entity.name, this.schemas);
+      this.models.push({
+        name: entity.name,
+        sourcePath: entity.sourcePath,
+        schema: schema ? `${schema.filePath} (${schema.name})` : null,
+        fields,
+        associations: this.inferAssociations(fields, entityNames),
+        validations: this.inferValidations(fields, schema, entityNames)
+      });
+    }
+    return this.models;
+  }
+
+  // Only known models get associations: arrays of primitives (`tags: string[]`)
+  // are jsonb columns, and an id without a model (`ownerId`) stays a plain column.
+  inferAssociations(fields, entityNames = new Set()) {
+    const associations = [];
+    fields.forEach(field => {
+      if (this.isForeignKey(field)) {
+        const base = field.name.replace(/(_id|Id)$/i, '');
+        if (this.hasModel(base, entityNames)) associations.push({ type: 'belongs_to', name: base });
+      } else if (this.isHasMany(field, entityNames)) {
+        const element = collectionElementType(stripNullable(field.type).type);
+        associations.push({ type: 'has_many', name: field.name, className: element });
+      }
+    });
+    return associations;
+  }
+
+  hasModel(name, entityNames) {
+    return Array.from(entityNames).some(entity => toSnakeCase(entity) === toSnakeCase(name));
+  }
+
+  isHasMany(field, entityNames) {
+    const { type } = stripNullable(field.type);
+    return this.isCollection(type) && entityNames.has(collectionElementType(type));
+  }
+
+  inferValidations(fields, schema = null, entityNames = new Set()) {
+    const validations = [];
+    fields.forEach(field => {
+      // Primary keys and timestamps are managed by ActiveRecord; has_many
+      // associations have no column, so a presence check would need records.
+      const column = toSnakeCase(field.name);
+      if (column === 'id' || TIMESTAMP_COLUMNS.has(column) || this.isHasMany(field, entityNames)) return;
+      const optional = field.optional || stripNullable(field.type).nullable;
+      const zodField = schema && schema.fields.find(f => f.name === field.name);
+      if (zodField) {
+        // Allowed values from the TS type become an enum below.
+        validations.push(...zodValidations(field.name, zodField.chain).filter(v => !(field.values && v.type === 'inclusion')));
+      } else {
+        if (!optional) {
+          validations.push({ type: 'presence', field: field.name });
+        }
+        if (/email/i.test(field.name)) {
+          validations.push({ type: 'email', field: field.name });
+        }
+        if (/url/i.test(field.name)) {
+          validations.push({ type: 'url', field: field.name });
+        }
+      }
+      if (field.values) {
+        const type = field.values.every(v => typeof v === 'string' && /^[a-z]/i.test(v)) ? 'enum' : 'inclusion';
+        validations.push({ type, field: field.name, values: field.values, optional });
+      }
+    });
+    return validations;
+  }
+
+  isForeignKey(field) {
+    return isForeignKeyField(field);
+  }
+
+  isCollection(typeStr) {
+    return /\[\]$/.test(typeStr.trim()) || /^array<.+>$/i.test(typeStr.trim());
+  }
+
+  async generateModel(model) {
+    const validations = this.formatValidations(model.validations);
+    return this.template
+      .replace(/{{model_name}}/g, model.name)
+      .replace(/{{associations}}/g, this.formatAssociations(model.associations))
+      .replace(/{{validations}}/g, model.schema ? `# Zod schema: ${model.schema}\n  ${validations}` : validations)
+      .replace(/{{scopes}}/g, this.generateScopes(model))
+      .replace(/{{instance_methods}}/g, this.generateInstanceMethods(model))
+      .replace(/{{interface_path}}/g, model.sourcePath)
+      .replace(/{{timestamp}}/g, new Date().toISOString());
+  }
+
+  formatAssociations(associations) {
+    if (!associations.length) return '# associations: none inferred';
+    return associations
+      .map(a => {
+        if (a.type === 'belongs_to') {
+          return `belongs_to :${toSnakeCase(a.name)}`;
+        }
+        if (a.type === 'has_many') {
+          return `has_many :${toSnakeCase(a.name)}${a.className ? `, class_name: '${a.className}'` : ''}`;
+        }
+        return '';
+      })
+      .filter(Boolean)
+      .join('\n  ');
+  }
+
+  formatValidations(validations) {
+    if (!validations.length) return '# validations: none inferred';
+    return validations
+      .map(v => {
+        const column = toSnakeCase(v.field);
+        const allowNil = v.optional ? ', allow_nil: true' : '';
+        if (v.type === 'presence') return `validates :${column}, presence: true`;
+        if (v.type === 'email') return `validates :${column}, format: { with: URI::MailTo::EMAIL_REGEXP }${allowNil}`;
+        if (v.type === 'url') return `validates :${column}, format: { with: URI::DEFAULT_PARSER.make_regexp }${allowNil}`;
+        if (v.type === 'enum') {
+          const mapping = v.values.map(value => `${enumKey(value)}: ${rubyString(value)}`);
+          const validate = v.optional ? '{ allow_nil: true }' : 'true';
+          return `enum :${column}, { ${mapping.join(', ')} }, validate: ${validate}`;
+        }
+        if (v.type === 'inclusion') return `validates :${column}, inclusion: { in: ${rubyArray(v.values)} }${allowNil}`;
+        if (v.type === 'format') return `validates :${column}, format: { with: ${v.pattern} }${allowNil}`;
+        if (v.type === 'length') {
+          const options = ['minimum', 'maximum', 'is'].filter(key => v[key] !== undefined).map(key => `${key}: ${v[key]}`);
+          return `validates :${column}, length: { ${options.join(', ')} }${allowNil}`;
+        }
+        if (v.type === 'numericality') {
+          const options = v.options.length ? `{ ${v.options.map(([key, value]) => `${key}: ${value}`).join(', ')} }` : 'true';
+          return `validates :${column}, numericality: ${options}${allowNil}`;
+        }
+        return '';
+      })
+      .filter(Boolean)
+      .join('\n  ');
+  }
+
+  generateScopes(model) {
+    return `scope :recent, -> { order(created_at: :desc) }`;
+  }
+
+  generateInstanceMethods(model) {
+    return '# add instance methods as needed';
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Migration Generator
+// -----------------------------------------------------------------------------
+
+const DECIMAL_FIELD_PATTERN = /(price|amount|total|cost|balance|rate|percent|lat|lng|latitude|longitude)/i;
+const TEXT_FIELD_PATTERN = /^(description|body|content|bio|notes?|summary|message)$/i;
+const UNIQUE_FIELD_PATTERN = /^(email|slug|username)$/i;
+
+class MigrationGenerator {
+  constructor(models, template, existingFiles = []) {
+    this.models = models;
+    this.template = template;
+    this.modelNames = new Set(models.map(m => m.name));
+    this.existingFiles = existingFiles;
+  }
+
+  tableName(modelName) {
+    return pluralize(toSnakeCase(modelName));
+  }
+
+  // Orders models so every table referenced by a foreign key is created first.
+  sortByDependencies() {
+    const byName = new Map(this.models.map(m => [m.name, m]));
+    const sorted = [];
+    const visiting = new Set();
+    const visit = model => {
+      if (sorted.includes(model) || visiting.has(model)) return;
+      visiting.add(model);
+      this.columnsFor(model)
+        .filter(c => c.kind === 'references' && c.model && c.model !== model.name)
+        .forEach(c => visit(byName.get(c.model)));
+      visiting.delete(model);
+      sorted.push(model);
+    };
+    this.models.forEach(visit);
+    return sorted;
+  }
+
+  /**
+   * Returns `[{ model, fileName, version, code }]`. A model that already has a
+   * `*_create_<table>.rb` migration keeps its file name; new ones get
+   * consecutive timestamps after the newest existing migration.
+   */
+  generate(now = new Date()) {
+    let next = Math.max(migrationTimestamp(now), ...this.existingFiles.map(f => Number(f.split('_')[0]) + 1 || 0));
+
+    return this.sortByDependencies().map(model => {
+      const table = this.tableName(model.name);
+      const existing = this.existingFiles.find(f => f.endsWith(`_create_${table}.rb`));
+      const fileName = existing || `${next}_create_${table}.rb`;
+      if (!existing) next = incrementTimestamp(next);
+      return { model, fileName, version: fileName.split('_')[0], code: this.generateMigration(model) };
+    });
+  }
+
+  generateMigration(model) {
+    const table = this.tableName(model.name);
+    const columns = this.columnsFor(model);
+    const indexes = this.indexesFor(model, columns);
+
+    return this.template
+      .replace(/{{migration_class}}/g, `Create${toPascalCase(table)}`)
+      .replace(/{{rails_version}}/g, CONFIG.railsVersion)
+      .replace(/{{table_name}}/g, table)
+      .replace(/{{columns}}/g, columns.map(c => this.formatColumn(c)).join('\n      ') || '# no columns inferred')
+      .replace(/{{indexes}}/g, indexes.map(line => `\n    ${line}`).join(''))
+      .replace(/{{interface_path}}/g, model.sourcePath)
+      .replace(/{{timestamp}}/g, new Date().toISOString());
+  }
+
+  /**
+   * Maps interface fields to column descriptors. `id` and Rails timestamps are
+   * implied by `create_table`; `has_many` arrays live on the other table.
+   */
+  columnsFor(model) {
+    return model.fields
+      .map(field => this.columnFor(field))
+      .filter(Boolean);
+  }
+
+  columnFor(field) {
+    const name = toSnakeCase(field.name);
+    if (name === 'id' || TIMESTAMP_COLUMNS.has(name)) return null;
+
+    const { type, nullable } = stripNullable(field.type);
+    const nullFalse = !field.optional && !nullable;
+
+    if (field.values) {
+      const numeric = field.values.every(v => typeof v === 'number');
+      return { kind: 'column', name, type: numeric ? 'integer' : 'string', nullFalse };
+    }
+
+    if (isForeignKeyField(field)) {
+      const base = name.replace(/_id$/, '');
+      const target = Array.from(this.modelNames).find(m => toSnakeCase(m) === base) || null;
+      return { kind: 'references', name: base, model: target, nullFalse };
+    }
+
+    const elementType = collectionElementType(type);
+    if (elementType !== null) {
+      if (this.modelNames.has(elementType)) return null;
+      return { kind: 'column', name, type: 'jsonb', nullFalse, options: 'default: []' };
+    }
+
+    if (this.modelNames.has(type)) {
+      return { kind: 'comment', text: `${name}: ${type} is an embedded model; add a reference if it is stored separately` };
+    }
+
+    return { kind: 'column', name, type: this.columnType(name, type), nullFalse };
+  }
+
+  columnType(name, type) {
+    if (type === 'boolean') return 'boolean';
+    if (type === 'Date' || (type === 'string' && /_at$/.test(name))) return 'datetime';
+    if (type === 'number' || type === 'bigint') {
+      if (DECIMAL_FIELD_PATTERN.test(name)) return 'decimal';
+      return 'integer';
+    }
+    if (type === 'string' || /^(['"]).*\1(\s*\|\s*(['"]).*\3)*$/.test(type)) {
+      return TEXT_FIELD_PATTERN.test(name) ? 'text' : 'string';
+    }
+    if (type.startsWith('{') || /^(Record|Partial)<|^object$/.test(type) || type === 'unknown' || type === 'any') {
+      return 'jsonb';
+    }
+    return 'string';
+  }
+
+  formatColumn(column) {
+    if (column.kind === 'comment') return `# ${column.text}`;
+    if (column.kind === 'references') {
+      return `t.references :${column.name}, null: ${!column.nullFalse}, foreign_key: ${Boolean(column.model)}`;
+    }
+    const options = [];
+    if (column.type === 'decimal') options.push('precision: 10', 'scale: 2');
+    if (column.options) options.push(column.options);
+    if (column.nullFalse) options.push('null: false');
+    return `t.${column.type} :${column.name}${options.length ? `, ${options.join(', ')}` : ''}`;
+  }
+
+  // `t.references` already indexes foreign keys; add unique indexes for
+  // natural keys such as email and slug.
+  indexesFor(model, columns) {
+    const table = this.tableName(model.name);
+    return columns
+      .filter(c => c.kind === 'column' && UNIQUE_FIELD_PATTERN.test(c.name))
+      .map(c => `add_index :${table}, :${c.name}, unique: true`);
+  }
+
+  /**
+   * Builds a `db/schema.rb` snapshot matching the generated migrations, so the
+   * shadow app documents its full schema in one place.
+   */
+  generateSchema(migrations) {
+    const version = migrations.reduce((max, m) => (m.version > max ? m.version : max), '0');
+    const tables = migrations.map(({ model }) => {
+      const table = this.tableName(model.name);
+      const columns = this.columnsFor(model)
+        .filter(c => c.kind !== 'comment')
+        .map(c => this.formatColumn(c));
+      const indexes = this.indexesFor(model, this.columnsFor(model)).map(line =>
+        line.replace(`add_index :${table}, :`, 't.index [:').replace(/, unique: true$/, '], unique: true')
+      );
+      return [
+        `  create_table "${table}", force: :cascade do |t|`,
+        ...[...columns, 't.timestamps', ...indexes].map(line => `    ${line}`),
+        '  end'
+      ].join('\n');
+    });
+
+    return [
+      '# This file mirrors the generated migrations in db/migrate.',
+      '# Regenerate with: node scripts/generate_rails_components.js --migrations',
+      '',
+      `ActiveRecord::Schema[${CONFIG.railsVersion}].define(version: ${version}) do`,
+      tables.join('\n\n'),
+      'end',
+      ''
+    ].join('\n');
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Test Generator
+// -----------------------------------------------------------------------------
+
+/**
+ * Minitest files for the generated artifacts: a render test per ViewComponent,
+ * a test per model covering its inferred validations and associations, and
+ * the `one` / `two` fixtures those tests load.
+ */
+class TestGenerator {
+  constructor(models, { componentTemplate = FALLBACK_TEMPLATES.componentTest, modelTemplate = FALLBACK_TEMPLATES.modelTest } = {}) {
+    this.models = models;
+    this.modelNames = new Set(models.map(m => m.name));
+    this.componentTemplate = componentTemplate;
+    this.modelTemplate = modelTemplate;
+  }
+
+  fixtureName(modelName) {
+    return pluralize(toSnakeCase(modelName));
+  }
+
+  // Renders the component with a sample value for every keyword prop and
+  // asserts its BEM block; props limited to a list also get a rejection test.
+  // Phlex components render through ActionView::TestCase instead of ViewComponent's helpers.
+  generateComponentTest(analysis) {
+    const { component, bemBlock } = namingFor(analysis.componentName);
+    const phlex = CONFIG.format === 'phlex';
+    const render = phlex ? 'render' : 'render_inline';
+    const props = analysis.props.filter(p => !p.slot && !(p.optional && this.isFunctionType(p.type)));
+    const args = overrides =>
+      props.map(p => `${p.name}: ${p.name in overrides ? overrides[p.name] : this.sampleProp(p)}`).join(', ');
+
+    const tests = [
+      [
+        `test "renders the ${bemBlock} block" do`,
+        `  ${render}(${railsComponentClass(component)}.new(${args({})}))`,
+        '',
+        `  ${phlex ? 'assert_select' : 'assert_selector'} ".${bemBlock}"`,
+        'end'
+      ]
+    ];
+    props
+      .filter(p => p.values)
+      .forEach(p => {
+        const invalid = p.values.every(v => typeof v === 'number') ? String(Math.max(...p.values) + 1) : ':invalid';
+        tests.push([
+          `test "rejects an unknown ${p.name}" do`,
+          `  assert_raises(ArgumentError) { ${railsComponentClass(component)}.new(${args({ [p.name]: invalid })}) }`,
+          'end'
+        ]);
+      });
+
+    return this.componentTemplate
+      .replace(/{{component_name}}/g, component)
+      .replace(/{{bem_block}}/g, bemBlock)
+      .replace(/{{tests}}/g, this.formatTests(tests))
+      .replace(/{{react_file_path}}/g, analysis.filePath || 'unknown');
+  }
+
+  isFunctionType(type) {
+    return /=>/.test(type) || /^Function$/.test(type.trim());
+  }
+
+  // Ruby value for a prop: the first allowed option, a fixture for model
+  // types, otherwise a placeholder of the right shape.
+  sampleProp(prop) {
+    if (prop.values) return rubyOptionValue(prop.values[0]);
+    const { type } = stripNullable(prop.type);
+    if (this.isFunctionType(type)) return 'nil';
+    const element = collectionElementType(type);
+    if (element !== null) return this.modelNames.has(element) ? `[${this.fixtureName(element)}(:one)]` : '[]';
+    if (this.modelNames.has(type)) return `${this.fixtureName(type)}(:one)`;
+    if (type === 'string') return rubyString(`Sample ${toSnakeCase(prop.name).replace(/_/g, ' ')}`);
+    if (type === 'number') return '1';
+    if (type === 'boolean') return 'true';
+    if (type === 'Date') return 'Time.current';
+    if (type.startsWith('{') || /^Record</.test(type)) return '{}';
+    return 'nil';
+  }
+
+  generateModelTest(model) {
+    const record = `@${toSnakeCase(model.name)}`;
+    const tests = [
+      ['test "fixture is valid" do', `  assert ${record}.valid?, ${record}.errors.full_messages.to_sentence`, 'end']
+    ];
+
+    model.validations.forEach(v => {
+      const column = toSnakeCase(v.field);
+      const field = model.fields.find(f => f.name === v.field);
+      const blank = field && collectionElementType(stripNullable(field.type).type) !== null ? '[]' : 'nil';
+      const invalid = {
+        presence: [blank, "can't be blank"],
+        email: ['"not-an-email"', 'is invalid'],
+        url: ['"not a url"', 'is invalid']
+      }[v.type];
+      if (invalid) {
+        const name = v.type === 'presence' ? `requires ${column}` : `rejects a malformed ${column}`;
+        tests.push(this.invalidValueTest(name, record, column, ...invalid));
+      } else if (v.type === 'enum' || v.type === 'inclusion') {
+        // Booleans cast any string to true, so nil is their invalid value.
+        const value = v.values.every(x => typeof x === 'number')
+          ? String(Math.max(...v.values) + 1)
+          : v.values.every(x => typeof x === 'boolean') ? 'nil' : '"invalid"';
+        tests.push(this.invalidValueTest(`limits ${column} to its options`, record, column, value, 'is not included in the list'));
+      } else if (v.type === 'length') {
+        const characters = count => `${count} character${count === 1 ? '' : 's'}`;
+        if (v.minimum !== undefined) {
+          const message = `is too short (minimum is ${characters(v.minimum)})`;
+          tests.push(this.invalidValueTest(`limits ${column} to at least ${v.minimum}`, record, column, `"a" * ${v.minimum - 1}`, message));
+        }
+        if (v.maximum !== undefined) {
+          const message = `is too long (maximum is ${characters(v.maximum)})`;
+          tests.push(this.invalidValueTest(`limits ${column} to at most ${v.maximum}`, record, column, `"a" * ${v.maximum + 1}`, message));
+        }
+        if (v.is !== undefined) {
+          const message = `is the wrong length (should be ${characters(v.is)})`;
+          tests.push(this.invalidValueTest(`limits ${column} to exactly ${v.is}`, record, column, `"a" * ${v.is + 1}`, message));
+        }
+      } else if (v.type === 'numericality') {
+        v.options.forEach(([option, bound]) => {
+          const [value, message] = {
+            only_integer: ['1.5', 'must be an integer'],
+            greater_than: [bound, `must be greater than ${bound}`],
+            greater_than_or_equal_to: [String(Number(bound) - 1), `must be greater than or equal to ${bound}`],
+            less_than: [bound, `must be less than ${bound}`],
+            less_than_or_equal_to: [String(Number(bound) + 1), `must be less than or equal to ${bound}`]
+          }[option];
+          const name = `checks ${column} ${option.replace(/_/g, ' ')}${option === 'only_integer' ? '' : ` ${bound}`}`;
+          tests.push(this.invalidValueTest(name, record, column, value, message));
+        });
+      }
+    });
+
+    model.associations.forEach(a => {
+      const name = toSnakeCase(a.name);
+      tests.push([
+        `test "${a.type.replace('_', ' ')} ${name}" do`,
+        `  assert_equal :${a.type}, ${model.name}.reflect_on_association(:${name})&.macro`,
+        'end'
+      ]);
+    });
+
+    return this.modelTemplate
+      .replace(/{{model_name}}/g, model.name)
+      .replace(/{{record}}/g, toSnakeCase(model.name))
+      .replace(/{{fixture}}/g, `${this.fixtureName(model.name)}(:one)`)
+      .replace(/{{tests}}/g, this.formatTests(tests))
+      .replace(/{{interface_path}}/g, model.sourcePath);
+  }
+
+  invalidValueTest(name, record, column, value, message) {
+    return [
+      `test "${name}" do`,
+      `  ${record}.${column} = ${value}`,
+      '',
+      `  assert_not ${record}.valid?`,
+      `  assert_includes ${record}.errors[:${column}], "${message}"`,
+      'end'
+    ];
+  }
+
+  // Test blocks indented into the class body, blank lines kept empty.
+  formatTests(tests) {
+    return tests.map(lines => lines.join('\n  ')).join('\n\n  ').replace(/\n  \n/g, '\n\n');
+  }
+
+  /**
+   * `one` and `two` rows from the model's migration columns. References point
+   * at the `one` row of the other fixture; unique columns differ per row.
+   */
+  generateFixtures(model, columns) {
+    const rows = ['one', 'two'].map((label, index) => {
+      const lines = columns
+        .map(column => this.fixtureValue(model, column, label, index))
+        .filter(Boolean)
+        .map(line => `  ${line}`);
+      // A bare `one:` is a nil row, which fixtures cannot load.
+      return lines.length ? [`${label}:`, ...lines].join('\n') : `${label}: {}`;
+    });
+    return [`# Source: ${model.sourcePath} (${model.name})`, '', rows.join('\n\n'), ''].join('\n');
+  }
+
+  fixtureValue(model, column, label, index) {
+    if (column.kind === 'comment') return null;
+    if (column.kind === 'references') return column.model ? `${column.name}: one` : `${column.name}_id: ${index + 1}`;
+
+    const field = model.fields.find(f => toSnakeCase(f.name) === column.name);
+    const rules = model.validations.filter(v => field && v.field === field.name);
+    const options = rules.find(v => v.type === 'enum' || v.type === 'inclusion');
+    const values = (field && field.values) || (options && options.values);
+    if (values) {
+      const value = values[Math.min(index, values.length - 1)];
+      return `${column.name}: ${options && options.type === 'enum' ? enumKey(value) : JSON.stringify(value)}`;
+    }
+    if (column.type === 'boolean') return `${column.name}: true`;
+    if (column.type === 'integer') return `${column.name}: ${this.withinBounds(index + 1, rules)}`;
+    if (column.type === 'decimal') return `${column.name}: ${this.withinBounds(Number(`${index + 1}9.99`), rules)}`;
+    if (column.type === 'datetime') return `${column.name}: <%= ${index + 1}.${index ? 'days' : 'day'}.ago %>`;
+    if (column.type === 'jsonb') {
+      const data = field ? this.sampleData(column.name, stripNullable(field.type).type, label) : null;
+      return `${column.name}: ${JSON.stringify(data || (column.options === 'default: []' ? [] : {}))}`;
+    }
+    // Format validations (Zod `.email()`/`.url()`) decide over the column name.
+    if (rules.some(v => v.type === 'email') || /email/i.test(column.name)) return `${column.name}: ${label}@example.com`;
+    if (rules.some(v => v.type === 'url') || /url/i.test(column.name)) return `${column.name}: https://example.com/${label}`;
+    if (UNIQUE_FIELD_PATTERN.test(column.name)) return `${column.name}: ${label}`;
+    return `${column.name}: ${JSON.stringify(this.withinLength(this.sampleText(column.name, label), rules))}`;
+  }
+
+  // Moves a sample number inside the field's numericality bounds.
+  withinBounds(value, rules) {
+    const numericality = rules.find(v => v.type === 'numericality');
+    if (!numericality) return value;
+    let result = value;
+    numericality.options.forEach(([option, bound]) => {
+      const n = Number(bound);
+      if (option === 'greater_than' && result <= n) result = n + 1;
+      if (option === 'greater_than_or_equal_to' && result < n) result = n;
+      if (option === 'less_than' && result >= n) result = n - 1;
+      if (option === 'less_than_or_equal_to' && result > n) result = n;
+    });
+    return result;
+  }
+
+  // Pads or truncates a sample string to the field's length validation.
+  withinLength(text, rules) {
+    const length = rules.find(v => v.type === 'length');
+    if (!length) return text;
+    const target = length.is !== undefined ? length.is : null;
+    const minimum = target !== null ? target : length.minimum;
+    const maximum = target !== null ? target : length.maximum;
+    let result = text;
+    if (maximum !== undefined && result.length > maximum) result = result.slice(0, maximum);
+    if (minimum !== undefined && result.length < minimum) result = result.padEnd(minimum, 'x');
+    return result;
+  }
+
+  sampleText(name, label) {
+    return `${toPascalCase(toSnakeCase(name)).replace(/(?!^)([A-Z])/g, ' $1')} ${label}`;
+  }
+
+  // JSON column contents from the field's type, so required JSON columns are not blank.
+  sampleData(name, type, label) {
+    const element = collectionElementType(type);
+    if (element !== null) {
+      const value = this.sampleData(name.replace(/s$/, ''), element, label);
+      return value === null ? [] : [value];
+    }
+    if (type === 'string') return this.sampleText(name, label);
+    if (type === 'number') return 1;
+    if (type === 'boolean') return true;
+    const members = typeLiteralMembers(parseTypeNode(type));
+    if (!members.length) return null;
+    return Object.fromEntries(
+      members
+        .map(member => memberToField(member, member.getSourceFile()))
+        .filter(Boolean)
+        .map(f => [f.name, this.sampleData(f.name, stripNullable(f.type).type, label)])
+    );
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Storybook Previews
+// -----------------------------------------------------------------------------
+
+const STORY_FILE = /\.stories\.(tsx|ts|jsx|js)$/;
+
+// The component a stories file sits next to: `FilterChip.stories.tsx` → `FilterChip.tsx`.
+function componentFileForStories(filePath) {
+  return filePath.replace(STORY_FILE, '.tsx');
+}
+
+// `<Component>.stories.{tsx,ts,jsx,js}` next to the component, or null.
+async function storiesFileFor(componentPath) {
+  const base = componentPath.replace(/\.tsx$/, '');
+  for (const ext of ['tsx', 'ts', 'jsx', 'js']) {
+    if (await pathExists(`${base}.stories.${ext}`)) return `${base}.stories.${ext}`;
+  }
+  return null;
+}
+
+/**
+ * Reads a CSF stories file: the default export's `title` and `args`, and one
+ * `{ name, label, args, render }` per named story. Object stories
+ * (`export const Primary: Story = { args }`), `Template.bind({})` stories with
+ * a later `Primary.args = { ... }`, and function stories returning JSX (whose
+ * attributes become the args) are understood. Arg values are AST nodes.
+ */
+async function readStories(filePath, resolver) {
+  const ts = loadTypeScript();
+  const text = node => {
+    const value = node ? literalValue(node) : undefined;
+    return typeof value === 'string' ? value : null;
+  };
+  const { sourceFile } = await resolver.load(filePath);
+  const declarations = new Map();
+  const assignedArgs = new Map();
+  let metaNode = null;
+
+  sourceFile.statements.forEach(statement => {
+    if (ts.isVariableStatement(statement)) {
+      const exported = (ts.getModifiers(statement) || []).some(m => m.kind === ts.SyntaxKind.ExportKeyword);
+      statement.declarationList.declarations.forEach(decl => {
+        if (ts.isIdentifier(decl.name) && decl.initializer) declarations.set(decl.name.text, { node: decl.initializer, exported });
+      });
+    } else if (ts.isExportAssignment(statement) && !statement.isExportEquals) {
+      metaNode = statement.expression;
+    } else if (ts.isExpressionStatement(statement) && ts.isBinaryExpression(statement.expression)) {
+      // CSF2: `Primary.args = { ... }`
+      const { left, right, operatorToken } = statement.expression;
+      if (operatorToken.kind === ts.SyntaxKind.EqualsToken && ts.isPropertyAccessExpression(left) && ts.isIdentifier(left.expression)) {
+        if (left.name.text === 'args') assignedArgs.set(left.expression.text, objectProperties(right));
+        if (left.name.text === 'storyName') assignedArgs.set(`${left.expression.text}#label`, text(right));
+      }
+    }
+  });
+
+  const metaExpr = metaNode && ts.isIdentifier(unwrapTypeAssertions(metaNode))
+    ? declarations.get(unwrapTypeAssertions(metaNode).text) && declarations.get(unwrapTypeAssertions(metaNode).text).node
+    : metaNode;
+  const meta = metaExpr ? objectProperties(metaExpr) : {};
+
+  const stories = [];
+  declarations.forEach(({ node, exported }, name) => {
+    if (!exported) return;
+    const expr = unwrapTypeAssertions(node);
+    let args = null;
+    let props = {};
+    if (ts.isObjectLiteralExpression(expr)) {
+      props = objectProperties(expr);
+      args = props.args ? objectProperties(props.args) : {};
+    } else if (ts.isCallExpression(expr) && ts.isPropertyAccessExpression(expr.expression) && expr.expression.name.text === 'bind') {
+      args = {};
+    } else if (ts.isArrowFunction(expr) || ts.isFunctionExpression(expr)) {
+      args = jsxArgs(expr);
+    }
+    if (!args) return;
+    stories.push({
+      name,
+      label: text(props.name) || assignedArgs.get(`${name}#label`) || null,
+      args: { ...args, ...(assignedArgs.get(name) || {}) },
+      render: Boolean(props.render)
+    });
+  });
+
+  return {
+    filePath: path.relative(ROOT, filePath),
+    title: text(meta.title),
+    args: meta.args ? objectProperties(meta.args) : {},
+    stories
+  };
+}
+
+// Attributes of the first JSX element a function story returns, as args; children become `children`.
+function jsxArgs(fn) {
+  const ts = loadTypeScript();
+  let element = null;
+  walk(fn, node => {
+    if (!element && (ts.isJsxElement(node) || ts.isJsxSelfClosingElement(node))) element = node;
+  });
+  if (!element) return null;
+  const opening = ts.isJsxElement(element) ? element.openingElement : element;
+  const args = {};
+  opening.attributes.properties.filter(ts.isJsxAttribute).forEach(attr => {
+    const value = attr.initializer;
+    if (!value) args[attr.name.getText()] = ts.factory.createTrue();
+    else if (ts.isJsxExpression(value)) args[attr.name.getText()] = value.expression;
+    else args[attr.name.getText()] = value;
+  });
+  if (ts.isJsxElement(element)) {
+    const text = element.children.map(child => (ts.isJsxText(child) ? child.text : null));
+    if (text.length && !text.includes(null) && text.join('').trim()) args.children = ts.factory.createStringLiteral(text.join('').trim());
+  }
+  return args;
+}
+
+/**
+ * ViewComponent previews (`test/components/previews/`) from a component's
+ * stories, one method per story. Story args are merged over the default
+ * export's args and passed to the component's `initialize`; text children
+ * and text slots become `with_content` / `with_<slot>_content`. Values that
+ * are not literals are left as TODOs.
+ */
+class PreviewGenerator {
+  constructor(models, template = FALLBACK_TEMPLATES.componentPreview) {
+    this.models = new Map(models.map(m => [m.name, m]));
+    this.template = template;
+  }
+
+  generate(analysis, storiesFile) {
+    const { component } = namingFor(analysis.componentName);
+    const previews = storiesFile.stories.map(story => this.previewMethod(analysis, component, storiesFile, story));
+
+    return this.template
+      .replace(/{{component_name}}/g, component)
+      .replace(/{{stories_path}}/g, storiesFile.filePath)
+      .replace(/{{story_title}}/g, storiesFile.title || analysis.componentName)
+      .replace(/{{previews}}/g, previews.map(lines => lines.join('\n  ')).join('\n\n  ') || '# no stories found');
+  }
+
+  previewMethod(analysis, component, storiesFile, story) {
+    const args = { ...storiesFile.args, ...story.args };
+    const comments = [];
+    const kwargs = [];
+    const slots = [];
+    let block = '';
+    if (story.label) comments.push(`# @label ${story.label}`);
+    if (story.render) comments.push('# The story has its own render function; only its args are used here.');
+
+    Object.keys(args)
+      .filter(key => !analysis.props.some(p => p.name === key))
+      .forEach(key => comments.push(`# TODO: ${key} is not a prop of ${railsComponentClass(component)}`));
+
+    analysis.props.forEach(prop => {
+      const node = args[prop.name];
+      const value = node === undefined ? undefined : literalValue(node);
+      if (prop.slot) {
+        if (node === undefined) return;
+        const method = prop.slot.kind === 'content' ? 'with_content' : `with_${prop.slot.name}_content`;
+        const target = prop.slot.kind === 'content' ? 'content' : `the ${prop.slot.name} slot`;
+        // Phlex takes named slots as keyword arguments and the content as a block.
+        if (typeof value !== 'string' || prop.slot.kind === 'many' || prop.slot.render) comments.push(`# TODO: pass ${prop.name} from the story as ${target}`);
+        else if (CONFIG.format !== 'phlex') slots.push(`.${method}(${rubyString(value)})`);
+        else if (prop.slot.kind === 'content') block = ` { ${rubyString(value)} }`;
+        else kwargs.push(`${prop.slot.name}: ${rubyString(value)}`);
+        return;
+      }
+      const { type } = stripNullable(prop.type);
+      if (/=>/.test(type) || /^Function$/.test(type)) {
+        if (!prop.optional) kwargs.push(`${prop.name}: nil`);
+        return;
+      }
+      if (node === undefined) {
+        if (prop.optional) return;
+        if (prop.values) {
+          kwargs.push(`${prop.name}: ${rubyOptionValue(prop.values[0])}`);
+          return;
+        }
+        comments.push(`# TODO: the story sets no ${prop.name}`);
+        kwargs.push(`${prop.name}: nil`);
+        return;
+      }
+      if (value === undefined) {
+        comments.push(`# TODO: ${prop.name} is not a literal in the story (${node.getText().replace(/\s+/g, ' ')})`);
+        if (!prop.optional) kwargs.push(`${prop.name}: nil`);
+        return;
+      }
+      kwargs.push(`${prop.name}: ${this.rubyValue(prop, type, value)}`);
+    });
+
+    const call = `${railsComponentClass(component)}.new${kwargs.length ? `(${kwargs.join(', ')})` : ''}${slots.join('')}`;
+    return [...comments, `def ${toSnakeCase(story.name)}`, `  render(${call})${block}`, 'end'];
+  }
+
+  rubyValue(prop, type, value) {
+    if (value === null) return 'nil';
+    if (prop.values && typeof value === 'string') return rubyOptionValue(value);
+    if (type === 'Date' && typeof value === 'string') return `Time.zone.parse(${rubyString(value)})`;
+    const element = collectionElementType(type);
+    if (element !== null && this.models.has(element) && Array.isArray(value)) {
+      return `[${value.map(item => this.recordValue(element, item)).join(', ')}]`;
+    }
+    if (this.models.has(type)) return this.recordValue(type, value);
+    return rubyLiteral(value);
+  }
+
+  // `User.new(name: "Ada")` from a mock record; ids, foreign keys and nested records are left out.
+  recordValue(modelName, value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return rubyLiteral(value);
+    const model = this.models.get(modelName);
+    const attributes = Object.entries(value).filter(([key]) => {
+      const field = model.fields.find(f => f.name === key);
+      if (!field || toSnakeCase(key) === 'id' || isForeignKeyField(field)) return false;
+      const { type } = stripNullable(field.type);
+      return !this.models.has(type) && !this.models.has(collectionElementType(type));
+    });
+    const args = attributes.map(([key, v]) => `${toSnakeCase(key)}: ${rubyLiteral(v)}`).join(', ');
+    return `${modelName}.new${args ? `(${args})` : ''}`;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Seed Data
+// -----------------------------------------------------------------------------
+
+// Prefixes stripped from untyped mock data names: `mockUsers` → User.
+const MOCK_DATA_PREFIX = /^(mock|sample|seed|fake|demo)(?=[A-Z])/;
+// Columns tried, in order, as the `find_or_create_by!` key when there is no unique column.
+const SEED_NAME_COLUMNS = ['name', 'title', 'label', 'code'];
+
+function rubyLiteral(value) {
+  if (value === null) return 'nil';
+  if (typeof value === 'string') return rubyString(value);
+  if (Array.isArray(value)) return `[${value.map(rubyLiteral).join(', ')}]`;
+  if (typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, v]) => `${rubyHashKey(key)} ${rubyLiteral(v)}`);
+    return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  return String(value);
+}
+
+// Element type name of `User[]`, `Array<User>` or `readonly User[]`, or null.
+function arrayElementTypeName(typeNode) {
+  const ts = loadTypeScript();
+  let node = typeNode;
+  if (node && ts.isTypeOperatorNode(node)) node = node.type;
+  if (node && ts.isArrayTypeNode(node)) node = node.elementType;
+  else if (node && ts.isTypeReferenceNode(node) && node.typeName.getText() === 'Array' && node.typeArguments) {
+    node = node.typeArguments[0];
+  } else return null;
+  return ts.isTypeReferenceNode(node) ? node.typeName.getText() : null;
+}
+
+/**
+ * Exported arrays of object literals, matched to models by their declared
+ * type (`: User[]`, `as User[]`, `satisfies User[]`) or, when untyped, by
+ * name (`users`, `mockUsers`). Returns `{ datasets, skipped }`, where each
+ * dataset is `{ name, filePath, model, records }` and each record maps keys
+ * to literal values (undefined when not a literal).
+ */
+async function readMockData(files, resolver, modelNames) {
+  const ts = loadTypeScript();
+  const datasets = [];
+  const skipped = [];
+  for (const file of files) {
+    const { sourceFile } = await resolver.load(file);
+    const filePath = path.relative(ROOT, file);
+    sourceFile.statements.forEach(statement => {
+      if (!ts.isVariableStatement(statement)) return;
+      const modifiers = ts.getModifiers(statement) || [];
+      if (!modifiers.some(m => m.kind === ts.SyntaxKind.ExportKeyword)) return;
+      statement.declarationList.declarations.forEach(decl => {
+        if (!ts.isIdentifier(decl.name) || !decl.initializer) return;
+        let expr = unwrapParens(decl.initializer);
+        let typeName = arrayElementTypeName(decl.type);
+        while (isTypeAssertion(expr)) {
+          typeName = typeName || arrayElementTypeName(expr.type);
+          expr = unwrapParens(expr.expression);
+        }
+        if (!ts.isArrayLiteralExpression(expr)) return;
+        const name = decl.name.text;
+        // `statuses` / `mockAddresses` name the tables of Status / Address.
+        const table = toSnakeCase(name.replace(MOCK_DATA_PREFIX, ''));
+        const byName = modelNames.find(m => [pluralize(toSnakeCase(m)), toSnakeCase(m)].includes(table)) || null;
+        const model = typeName ? (modelNames.includes(typeName) ? typeName : null) : byName;
+        if (!model) {
+          skipped.push({ name, filePath, reason: typeName ? `${typeName} is not a model` : 'no model matches its name' });
+          return;
+        }
+        // `{ ... } as User`, `satisfies User` and parentheses around an entry are fine.
+        const records = expr.elements.map(unwrapTypeAssertions).filter(ts.isObjectLiteralExpression).map(element =>
+          Object.fromEntries(
+            element.properties
+              .filter(p => ts.isPropertyAssignment(p) || ts.isShorthandPropertyAssignment(p))
+              .filter(p => ts.isIdentifier(p.name) || ts.isStringLiteral(p.name))
+              .map(p => [p.name.text, ts.isPropertyAssignment(p) ? literalValue(p.initializer) : undefined])
+          )
+        );
+        if (records.length < expr.elements.length) {
+          skipped.push({ name, filePath, reason: `${expr.elements.length - records.length} entries are not object literals` });
+        }
+        datasets.push({ name, filePath, model, records });
+      });
+    });
+  }
+  return { datasets, skipped };
+}
+
+/**
+ * `db/seeds.rb` and fixtures from the prototype's mock data. Mock ids are
+ * kept only to link records: seeds look referenced records up in a hash keyed
+ * by mock id, fixtures by label (`one`, `two`, then `<model>_<id>`, so the
+ * generated tests keep finding `users(:one)`). Keys that do not map onto the
+ * model are collected in `mismatches` instead of being written.
+ */
+class SeedGenerator {
+  constructor(models, datasets) {
+    this.migrationGen = new MigrationGenerator(models, null);
+    this.mismatches = [];
+    this.errors = [];
+    const byModel = new Map();
+    datasets.forEach(dataset => {
+      if (!byModel.has(dataset.model)) byModel.set(dataset.model, []);
+      byModel.get(dataset.model).push(dataset);
+    });
+    // belongs_to targets come first, as in the migrations.
+    this.seeded = this.migrationGen
+      .sortByDependencies()
+      .filter(model => byModel.has(model.name))
+      .map(model => ({ model, datasets: byModel.get(model.name), rows: this.rowsFor(model, byModel.get(model.name)) }));
+    this.resolveReferences();
+    this.referenced = new Set(
+      this.seeded.flatMap(({ rows }) => rows.flatMap(row => row.attributes.filter(a => a.reference).map(a => a.column.model)))
+    );
+  }
+
+  seededModels() {
+    return this.seeded.map(({ model }) => model);
+  }
+
+  /**
+   * Foreign keys must point at a mock record. A required one that does not
+   * is an error (`find_or_create_by!` would fail on it); an optional one is
+   * left out of the record and reported with the other mismatches.
+   */
+  resolveReferences() {
+    this.seeded.forEach(({ rows }) => {
+      rows.forEach(row => {
+        row.attributes = row.attributes.filter(attribute => {
+          const { column, field, value, reference } = attribute;
+          if (!reference || this.target(column.model, value)) return true;
+          const message = `points at no ${column.model} with id ${JSON.stringify(value)} in the mock data`;
+          if (column.nullFalse) this.errors.push(`${row.dataset.name}.${field.name} in ${row.dataset.filePath} ${message}`);
+          else this.mismatch(row.dataset, field.name, message);
+          return false;
+        });
+      });
+    });
+  }
+
+  mismatch(dataset, key, message) {
+    const existing = this.mismatches.find(m => m.dataset === dataset && m.key === key && m.message === message);
+    if (existing) existing.count += 1;
+    else this.mismatches.push({ dataset, key, message, count: 1 });
+  }
+
+  // Column/value pairs for each record, plus its mock id and fixture label.
+  rowsFor(model, datasets) {
+    const labels = new Set();
+    const rows = [];
+    datasets.forEach(dataset => {
+      dataset.records.forEach(record => {
+        const index = rows.length;
+        const id = record.id === undefined || record.id === null ? null : record.id;
+        let label = ['one', 'two'][index] || `${toSnakeCase(model.name)}_${id === null ? index + 1 : enumKey(String(id))}`;
+        if (labels.has(label)) label = `${toSnakeCase(model.name)}_${index + 1}`;
+        labels.add(label);
+        rows.push({ id, label, dataset, attributes: this.attributesFor(model, dataset, record) });
+      });
+    });
+    return rows;
+  }
+
+  attributesFor(model, dataset, record) {
+    const attributes = [];
+    Object.entries(record).forEach(([key, value]) => {
+      const field = model.fields.find(f => f.name === key);
+      if (!field) return this.mismatch(dataset, key, `is not a field of ${model.name}`);
+      const column = this.migrationGen.columnFor(field);
+      if (!column) {
+        if (collectionElementType(stripNullable(field.type).type) !== null) {
+          this.mismatch(dataset, key, 'is a has_many collection; seed those records from their own data');
+        }
+        return;
+      }
+      if (column.kind === 'comment') return this.mismatch(dataset, key, 'is an embedded model with no column');
+      if (value === undefined && column.kind === 'references' && column.nullFalse) {
+        const target = column.model || column.name;
+        return this.errors.push(`${dataset.name}.${key} in ${dataset.filePath} is not a literal id, so no ${target} can be looked up`);
+      }
+      if (value === undefined) return this.mismatch(dataset, key, 'is not a literal value');
+      if (value === null) return;
+      attributes.push({ column, field, value, reference: column.kind === 'references' && column.model });
+    });
+    model.fields
+      .filter(f => !f.optional && !stripNullable(f.type).nullable && !(f.name in record))
+      .filter(f => {
+        const column = this.migrationGen.columnFor(f);
+        return column && column.kind !== 'comment';
+      })
+      .forEach(f => this.mismatch(dataset, f.name, 'is required by the model but missing'));
+    return attributes;
+  }
+
+  // The seeded row a foreign key value points at, or null.
+  target(modelName, id) {
+    const seeded = this.seeded.find(s => s.model.name === modelName);
+    return (seeded && seeded.rows.find(row => row.id === id)) || null;
   }
 
-  generateCss(bemBlock) {
-    return this.cssTemplate
-      .replace(/{{bem_block}}/g, bemBlock)
-      .replace(/{{react_file_path}}/g, this.analysis.filePath || 'unknown')
-      .replace(/{{timestamp}}/g, new Date().toISOString());
+  generateSeeds() {
+    const sources = this.seeded.flatMap(({ datasets }) => datasets.map(d => `${d.filePath} (${d.name})`));
+    const blocks = this.seeded.map(({ model, rows }) => {
+      const table = this.migrationGen.tableName(model.name);
+      const keep = this.referenced.has(model.name);
+      const lines = [`# ${Array.from(new Set(rows.map(row => `${row.dataset.filePath} (${row.dataset.name})`))).join(', ')}`];
+      if (keep) lines.push(`${table} = {}`);
+      rows.forEach(row => {
+        const assignments = row.attributes.map(a => [a.column.name, this.seedValue(a)]);
+        const key = this.lookupKey(model, assignments);
+        const lookup = assignments.filter(([name]) => key.includes(name));
+        const rest = assignments.filter(([name]) => !key.includes(name));
+        const call = `${model.name}.find_or_create_by!(${lookup.map(([name, value]) => `${name}: ${value}`).join(', ')})`;
+        const target = keep && row.id !== null ? `${table}[${rubyLiteral(row.id)}] = ` : '';
+        if (!rest.length) {
+          lines.push(`${target}${call}`);
+          return;
+        }
+        const record = toSnakeCase(model.name);
+        lines.push(`${target}${call} do |${record}|`, ...rest.map(([name, value]) => `  ${record}.${name} = ${value}`), 'end');
+      });
+      return lines.join('\n');
+    });
+
+    return [
+      "# Seeds generated from the React prototype's mock data.",
+      `# Source: ${sources.join(', ')}`,
+      '# Regenerate with: node scripts/generate_rails_components.js --seeds',
+      '',
+      blocks.join('\n\n'),
+      ''
+    ].join('\n');
   }
 
-  generatePropAttrs() {
-    if (!this.analysis.props.length) return '# No props';
-    return this.analysis.props
-      .map(p => `attr_reader :${p.name}`)
-      .join('\n  ');
+  // Unique columns (email, slug) when present, then a name-like column, otherwise every attribute.
+  lookupKey(model, assignments) {
+    const names = assignments.map(([name]) => name);
+    const unique = names.filter(name => UNIQUE_FIELD_PATTERN.test(name));
+    if (unique.length) return unique;
+    const named = SEED_NAME_COLUMNS.find(name => names.includes(name));
+    return named ? [named] : names;
   }
 
-  generatePropsSignature() {
-    if (!this.analysis.props.length) return '';
-    return this.analysis.props
-      .map(p => `${p.name}${p.optional ? ': nil' : ':'}`)
-      .join(', ');
+  // References were checked by resolveReferences.
+  seedValue(attribute) {
+    const { column, value } = attribute;
+    if (!attribute.reference) return rubyLiteral(value);
+    return `${this.migrationGen.tableName(column.model)}.fetch(${rubyLiteral(value)})`;
   }
 
-  generatePropAssignments() {
-    if (!this.analysis.props.length) return '# no props detected';
-    return this.analysis.props.map(p => `@${p.name} = ${p.name}`).join('\n    ');
+  // Same layout as TestGenerator#generateFixtures, with the mock records as rows.
+  generateFixtures(model) {
+    const { rows } = this.seeded.find(s => s.model === model);
+    const sources = Array.from(new Set(rows.map(row => `${row.dataset.filePath} (${row.dataset.name})`)));
+    const blocks = rows.map(row => {
+      const lines = row.attributes
+        .map(attribute => [attribute.column.name, this.fixtureValue(model, attribute)])
+        .map(([name, value]) => `  ${name}: ${value}`);
+      return [`${row.label}:`, ...lines].join('\n');
+    });
+    return [`# Source: ${sources.join(', ')}`, '', blocks.join('\n\n'), ''].join('\n');
   }
 
-  generateHtmlStructure() {
-    // Generate ERB-friendly structure hints
-    const childHints = this.analysis.childComponents
-      .map(c => `<%# Child: ${c} %>`)
-      .join('\n  ');
-    return childHints || '<%# Add component content here %>';
+  fixtureValue(model, { column, field, value, reference }) {
+    if (reference) return this.target(column.model, value).label;
+    const isEnum = model.validations.some(v => v.field === field.name && v.type === 'enum');
+    return isEnum ? enumKey(value) : JSON.stringify(value);
   }
 }
 
 // -----------------------------------------------------------------------------
-// Stimulus Generator
+// Next.js Routes
 // -----------------------------------------------------------------------------
 
-class StimulusGenerator {
-  constructor(analysis, template) {
-    this.analysis = analysis;
+const ROUTE_DIR_CANDIDATES = ['src/app', 'app', 'src/pages', 'pages'];
+const APP_ROUTER_PAGE = /^page\.(tsx|jsx|js)$/;
+const APP_ROUTER_LAYOUT = /^layout\.(tsx|jsx|js)$/;
+const PAGES_ROUTER_PAGE = /\.(tsx|jsx|js)$/;
+// Pages-router files that are not routes of their own.
+const PAGES_ROUTER_SPECIAL = /^(_app|_document|_error|404|500)$/;
+// Static before dynamic, so `users/new` is matched before `users/:id`.
+const ROUTE_SEGMENT_RANK = { static: 0, dynamic: 1, catchAll: 2, optionalCatchAll: 3 };
+
+// The Next.js routes directory: CONFIG.paths.routes, or the first conventional one that exists.
+function routesDir() {
+  if (CONFIG.paths.routes) return CONFIG.paths.routes;
+  return ROUTE_DIR_CANDIDATES.map(dir => path.join(ROOT, dir)).find(dir => fsSync.existsSync(dir)) || null;
+}
+
+// `[id]`, `[...slug]` and `[[...slug]]` are params; anything else is matched literally.
+function parseRouteSegment(segment) {
+  let match;
+  if ((match = segment.match(/^\[\[\.\.\.([\w-]+)\]\]$/))) return { kind: 'optionalCatchAll', name: match[1] };
+  if ((match = segment.match(/^\[\.\.\.([\w-]+)\]$/))) return { kind: 'catchAll', name: match[1] };
+  if ((match = segment.match(/^\[([\w-]+)\]$/))) return { kind: 'dynamic', name: match[1] };
+  return { kind: 'static', name: segment };
+}
+
+// Rails param (or controller / layout path part) for a segment name: `userId` → `user_id`.
+function routeParamName(name) {
+  return toSnakeCase(name.replace(/-/g, '_'));
+}
+
+// `users/[userId]/[[...tab]]` → `users/:user_id(/*tab)`.
+function railsRoutePath(segments) {
+  return segments.reduce((acc, segment) => {
+    const param = routeParamName(segment.name);
+    if (segment.kind === 'optionalCatchAll') return `${acc}(${acc ? '/' : ''}*${param})`;
+    const part = segment.kind === 'static' ? segment.name : segment.kind === 'dynamic' ? `:${param}` : `*${param}`;
+    return acc ? `${acc}/${part}` : part;
+  }, '');
+}
+
+function compareRoutes(a, b) {
+  for (let i = 0; i < Math.max(a.segments.length, b.segments.length); i++) {
+    const [x, y] = [a.segments[i], b.segments[i]];
+    if (!x || !y) return x ? 1 : -1;
+    const rank = ROUTE_SEGMENT_RANK[x.kind] - ROUTE_SEGMENT_RANK[y.kind];
+    if (rank) return rank;
+    if (x.name !== y.name) return x.name.localeCompare(y.name);
+  }
+  return 0;
+}
+
+/**
+ * Controller path and action for a route, REST-style: `users` → users#index,
+ * `users/[id]` → users#show, `users/new` → users#new and `users/[id]/edit` →
+ * users#edit. Leading static segments are namespaces (`admin/users` →
+ * admin/users#index), except one followed by a param, which is a parent
+ * resource (`users/[userId]/posts` → posts#index) unless `keepParents` is set.
+ */
+function routeEndpoint(segments, keepParents = false) {
+  const rest = [...segments];
+  const last = () => rest[rest.length - 1];
+  const isStatic = (segment, name) => segment && segment.kind === 'static' && (!name || segment.name === name);
+  let action = 'index';
+
+  if (isStatic(last(), 'new')) {
+    action = 'new';
+    rest.pop();
+  } else if (isStatic(last(), 'edit') && rest.length > 1 && !isStatic(rest[rest.length - 2])) {
+    action = 'edit';
+    rest.splice(-2);
+  } else if (last() && !isStatic(last())) {
+    action = 'show';
+    rest.pop();
+  }
+
+  const resource = isStatic(last()) ? routeParamName(rest.pop().name) : rest.length ? 'pages' : 'home';
+  const firstParam = rest.findIndex(segment => !isStatic(segment));
+  const namespace = keepParents || firstParam === -1
+    ? rest.filter(segment => isStatic(segment))
+    : rest.slice(0, Math.max(firstParam - 1, 0));
+
+  return { controller: [...namespace.map(s => routeParamName(s.name)), resource].join('/'), action };
+}
+
+/**
+ * Reads the Next.js routes directory: pages and, for the app router, the
+ * layouts wrapping them. Each page and nested layout also gets a component
+ * name (`users/ShowPage`, `layouts/Dashboard`) for its ViewComponent.
+ */
+class RouteScanner {
+  constructor(dir) {
+    this.dir = dir;
+    this.router = null;
+    this.routes = [];
+    // app/api/**/route.ts handlers; `handlers` is filled in by ApiRouteAnalyzer
+    this.apiRoutes = [];
+    this.layouts = [];
+    this.rootLayout = null;
+    this.skipped = [];
+  }
+
+  async scan() {
+    const files = await listFiles(this.dir, f => PAGES_ROUTER_PAGE.test(f) || API_ROUTE_FILE.test(f));
+    this.router = files.some(f => APP_ROUTER_PAGE.test(path.basename(f)) || API_ROUTE_FILE.test(path.basename(f))) ? 'app' : 'pages';
+    if (this.router === 'app') this.scanAppRouter(files);
+    else this.scanPagesRouter(files);
+
+    const seen = new Set();
+    this.routes.sort(compareRoutes).forEach(route => {
+      Object.assign(route, routeEndpoint(route.segments));
+      // Two routes landing on the same action (`posts` and `users/[userId]/posts`)
+      // keep their parent resources in the controller path.
+      if (seen.has(`${route.controller}#${route.action}`)) Object.assign(route, routeEndpoint(route.segments, true));
+      seen.add(`${route.controller}#${route.action}`);
+      route.path = railsRoutePath(route.segments);
+      route.params = route.segments.filter(s => s.kind !== 'static');
+      route.componentName = `${route.controller}/${toPascalCase(route.action)}Page`;
+    });
+
+    // API actions depend on the HTTP methods, so collisions are checked per
+    // collection / member route instead.
+    const seenApi = new Set();
+    this.apiRoutes.sort(compareRoutes).forEach(route => {
+      const last = route.segments[route.segments.length - 1];
+      route.member = Boolean(last && last.kind !== 'static');
+      let { controller } = routeEndpoint(route.segments);
+      if (seenApi.has(`${controller}:${route.member}`)) controller = routeEndpoint(route.segments, true).controller;
+      seenApi.add(`${controller}:${route.member}`);
+      route.controller = controller;
+      route.path = railsRoutePath(route.segments);
+      route.params = route.segments.filter(s => s.kind !== 'static');
+    });
+    return this;
+  }
+
+  // Folders: `(group)` is left out of the URL, `@slot`, `_private` and
+  // intercepting `(.)folder` routes are not pages of their own.
+  scanAppRouter(files) {
+    files.forEach(filePath => {
+      const folders = path.relative(this.dir, path.dirname(filePath)).split(path.sep).filter(Boolean);
+      const fileName = path.basename(filePath);
+      const apiRoute = API_ROUTE_FILE.test(fileName);
+      if (!apiRoute && !APP_ROUTER_PAGE.test(fileName) && !APP_ROUTER_LAYOUT.test(fileName)) return;
+      if (folders.some(f => /^[@_]|^\(\.+\)/.test(f)) || (apiRoute && folders[0] !== 'api')) {
+        this.skipped.push(filePath);
+        return;
+      }
+
+      if (apiRoute) {
+        const segments = folders.slice(1).filter(f => !/^\(.*\)$/.test(f)).map(parseRouteSegment);
+        this.apiRoutes.push({ filePath, folders, segments, handlers: [] });
+        return;
+      }
+
+      if (APP_ROUTER_LAYOUT.test(fileName)) {
+        if (!folders.length) {
+          this.rootLayout = filePath;
+          return;
+        }
+        const name = folders.map(f => routeParamName(f.replace(/^\((.*)\)$/, '$1').replace(/^\[+(\.\.\.)?|\]+$/g, ''))).join('/');
+        const parts = name.split('/');
+        this.layouts.push({
+          filePath,
+          folders,
+          name,
+          componentName: ['layouts', ...parts.slice(0, -1), toPascalCase(parts[parts.length - 1])].join('/')
+        });
+        return;
+      }
+
+      const segments = folders.filter(f => !/^\(.*\)$/.test(f)).map(parseRouteSegment);
+      this.routes.push({ filePath, folders, segments });
+    });
+
+    // The innermost layout applies to a page; a layout nests in the one above it.
+    const enclosing = (folders, self = null) =>
+      this.layouts
+        .filter(l => l !== self && l.folders.length <= folders.length && l.folders.every((f, i) => folders[i] === f))
+        .sort((a, b) => b.folders.length - a.folders.length)[0] || null;
+    this.layouts.forEach(layout => (layout.parent = enclosing(layout.folders, layout)));
+    this.routes.forEach(route => (route.layout = enclosing(route.folders)));
+  }
+
+  // `index` files route to their folder; `api/` holds API routes, not pages.
+  scanPagesRouter(files) {
+    files.forEach(filePath => {
+      if (!PAGES_ROUTER_PAGE.test(filePath)) return;
+      const rel = path.relative(this.dir, filePath).replace(PAGES_ROUTER_PAGE, '');
+      const parts = rel.split(path.sep);
+      if (parts[0] === 'api' || PAGES_ROUTER_SPECIAL.test(rel)) {
+        this.skipped.push(filePath);
+        return;
+      }
+      if (parts[parts.length - 1] === 'index') parts.pop();
+      this.routes.push({ filePath, folders: parts, segments: parts.map(parseRouteSegment), layout: null });
+    });
+  }
+
+  // Component names of every page and layout, for the parity check.
+  componentNames() {
+    return [...this.routes, ...this.layouts].map(r => r.componentName);
+  }
+}
+
+/**
+ * Builds config/routes.rb, one controller per controller path and one view
+ * per page. Controllers follow the "controller renders view, view renders
+ * component" pattern: actions only load records, and each view renders the
+ * ViewComponent generated for its page.
+ */
+class RouteGenerator {
+  constructor(scanner, models = [], template = FALLBACK_TEMPLATES.controller) {
+    this.scanner = scanner;
     this.template = template;
+    // Table name → model name, to load records for resourceful actions.
+    this.models = new Map(models.map(name => [pluralize(toSnakeCase(name)), name]));
   }
 
-  async generate() {
+  generateRoutes() {
+    const source = path.relative(ROOT, this.scanner.dir);
+    const lines = this.scanner.routes.map(route =>
+      route.path ? `  get "${route.path}", to: "${route.controller}#${route.action}"` : `  root "${route.controller}#${route.action}"`
+    );
+    const apiLines = this.scanner.apiRoutes.flatMap(route =>
+      route.handlers.map(h => `    ${h.method.toLowerCase()} "${route.path}", to: "${route.controller}#${h.action}"`)
+    );
+    if (apiLines.length) {
+      if (lines.length) lines.push('');
+      lines.push('  namespace :api, defaults: { format: :json } do', ...apiLines, '  end');
+    }
+    return [
+      '# frozen_string_literal: true',
+      `# Generated from ${source} (Next.js ${this.scanner.router} router); merge into config/routes.rb.`,
+      '',
+      'Rails.application.routes.draw do',
+      ...lines,
+      'end',
+      ''
+    ].join('\n');
+  }
+
+  // controller path → its routes, in route order.
+  controllers() {
+    const controllers = new Map();
+    this.scanner.routes.forEach(route => {
+      if (!controllers.has(route.controller)) controllers.set(route.controller, []);
+      controllers.get(route.controller).push(route);
+    });
+    return controllers;
+  }
+
+  controllerClass(controller) {
+    return `${controller.split('/').map(toPascalCase).join('::')}Controller`;
+  }
+
+  /**
+   * The most common layout becomes the controller's `layout`; actions under
+   * another one render with it explicitly.
+   */
+  generateController(controller, routes) {
+    const layoutOf = route => (route.layout ? route.layout.name : null);
+    const counts = new Map();
+    routes.forEach(route => counts.set(layoutOf(route), (counts.get(layoutOf(route)) || 0) + 1));
+    const layout = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+    const actions = routes.map(route => {
+      const body = this.actionBody(route);
+      if (layoutOf(route) !== layout) body.push(`render layout: ${rubyString(layoutOf(route) || 'application')}`);
+      return [
+        `# GET /${route.path} (${path.relative(ROOT, route.filePath)})`,
+        `def ${route.action}`,
+        ...body.map(line => `  ${line}`),
+        'end'
+      ].join('\n  ');
+    });
+
     return this.template
-      .replace(/{{component_name}}/g, toKebabCase(this.analysis.name))
-      .replace(/{{stimulus_values}}/g, this.generateValues())
-      .replace(/{{stimulus_targets}}/g, this.generateTargets())
-      .replace(/{{initialization_code}}/g, this.generateInitCode())
-      .replace(/{{cleanup_code}}/g, this.generateCleanupCode())
-      .replace(/{{action_methods}}/g, this.generateActionMethods())
-      .replace(/{{react_file_path}}/g, this.analysis.filePath || 'unknown')
-      .replace(/{{timestamp}}/g, new Date().toISOString());
+      .replace(/{{controller_class}}/g, this.controllerClass(controller))
+      .replace(/{{layout}}/g, layout ? `\n  layout ${rubyString(layout)}\n` : '')
+      .replace(/{{actions}}/g, actions.join('\n\n  '))
+      .replace(/{{pages_path}}/g, routes.map(r => path.relative(ROOT, r.filePath)).join(', '));
   }
 
-  generateValues() {
-    if (!this.analysis.state.length) return '';
-    return this.analysis.state
-      .map(s => `${s.name}: ${this.tsToJsType(s.type)}`)
-      .join(', ');
+  // Instance variables an action sets, as { name, ruby }.
+  loadedRecords(route) {
+    const resource = route.controller.split('/').pop();
+    const model = this.models.get(resource);
+    if (!model) return [];
+    const record = toSnakeCase(model);
+    const param = route.params.length ? routeParamName(route.params[route.params.length - 1].name) : null;
+    if (route.action === 'index') return [{ name: resource, ruby: `${model}.all` }];
+    if (route.action === 'new') return [{ name: record, ruby: `${model}.new` }];
+    if (param) return [{ name: record, ruby: `${model}.find(params[:${param}])` }];
+    return [];
   }
 
-  generateTargets() {
-    const targets = ['"element"'];
-    if (this.analysis.childComponents.length > 0) {
-      targets.push('"content"');
+  actionBody(route) {
+    const records = this.loadedRecords(route);
+    if (!records.length) return ['# TODO: load what the page needs; the view passes it to the page component'];
+    return records.map(r => `@${r.name} = ${r.ruby}`);
+  }
+
+  /**
+   * Keyword arguments for a page or layout component: route segments
+   * (`id: params[:id]`) and Next's `searchParams` come from the request, props
+   * named after a record the action loads get that record, and other required
+   * props are TODOs. A `params` prop the analyzer could not split is passed as a Hash.
+   */
+  componentCall(route, analysis) {
+    const className = railsComponentClass(namingFor(route.componentName).component);
+    const records = route.action ? this.loadedRecords(route) : [];
+    const args = [];
+    const todos = [];
+    analysis.props
+      .filter(p => !p.slot)
+      .forEach(prop => {
+        const record = records.find(r => toSnakeCase(prop.name) === r.name);
+        const segment = prop.routeParam && route.params.find(s => s.name === prop.name);
+        if (segment) {
+          // Catch-all params arrive as "a/b" in Rails and as ['a', 'b'] in Next.
+          const value = `params[:${routeParamName(segment.name)}]`;
+          args.push(`${prop.name}: ${segment.kind === 'dynamic' ? value : `${value}&.split("/")`}`);
+        } else if (prop.name === 'params') {
+          // Catch-all params arrive as "a/b" in Rails and as ['a', 'b'] in Next.
+          const entries = route.params.map(({ kind, name }) => {
+            const value = `params[:${routeParamName(name)}]`;
+            return `${rubyHashKey(name)} ${kind === 'dynamic' ? value : `${value}&.split("/")`}`;
+          });
+          args.push(entries.length ? `params: { ${entries.join(', ')} }` : 'params: {}');
+        } else if (prop.name === 'searchParams') {
+          args.push('searchParams: request.query_parameters');
+        } else if (record) {
+          args.push(`${prop.name}: @${record.name}`);
+        } else if (!prop.optional) {
+          args.push(`${prop.name}: nil`);
+          todos.push(erbComment(`TODO: pass ${prop.name} to ${className}`));
+        }
+      });
+    return { todos, call: `render ${className}.new${args.length ? `(${args.join(', ')})` : ''}` };
+  }
+
+  generateView(route, analysis) {
+    const { todos, call } = this.componentCall(route, analysis);
+    return [erbComment(`Source: ${path.relative(ROOT, route.filePath)}`), ...todos, `<%= ${call} %>`, ''].join('\n');
+  }
+
+  /**
+   * Nested layouts wrap the page in their component and then render the
+   * layout above them, so layouts/application.html.erb should output
+   * `content_for?(:content) ? yield(:content) : yield`.
+   */
+  generateLayout(layout, analysis) {
+    const params = layout.folders
+      .filter(f => !/^\(.*\)$/.test(f))
+      .map(parseRouteSegment)
+      .filter(s => s.kind !== 'static');
+    const { todos, call } = this.componentCall({ componentName: layout.componentName, params }, analysis);
+    return [
+      erbComment(`Source: ${path.relative(ROOT, layout.filePath)}`),
+      ...todos,
+      '<% content_for :content do %>',
+      `  <%= ${call} do %>`,
+      '    <%= yield %>',
+      '  <% end %>',
+      '<% end %>',
+      `<%= render template: ${rubyString(`layouts/${layout.parent ? layout.parent.name : 'application'}`)} %>`,
+      ''
+    ].join('\n');
+  }
+}
+
+// Pages and layouts under the routes directory, or null when there is none.
+async function discoverRoutes() {
+  const dir = routesDir();
+  return dir && (await pathExists(dir)) ? new RouteScanner(dir).scan() : null;
+}
+
+// -----------------------------------------------------------------------------
+// API Routes
+// -----------------------------------------------------------------------------
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const API_ROUTE_FILE = /^route\.(ts|js)$/;
+const HTTP_STATUS_SYMBOLS = {
+  200: 'ok',
+  201: 'created',
+  202: 'accepted',
+  204: 'no_content',
+  301: 'moved_permanently',
+  302: 'found',
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  422: 'unprocessable_entity',
+  429: 'too_many_requests',
+  500: 'internal_server_error',
+  503: 'service_unavailable'
+};
+
+// REST action for a handler on a collection (`api/users`) or member (`api/users/[id]`) route.
+function apiAction(method, member) {
+  if (method === 'GET') return member ? 'show' : 'index';
+  if (method === 'POST') return 'create';
+  if (method === 'DELETE') return 'destroy';
+  return 'update';
+}
+
+// `status: :created`, or the number for codes without a Rails symbol.
+function railsStatus(status) {
+  return HTTP_STATUS_SYMBOLS[status] ? `:${HTTP_STATUS_SYMBOLS[status]}` : String(status);
+}
+
+/**
+ * Reads the handlers a `route.ts` exports (`export async function GET(...)`,
+ * `export const POST = ...`) with the fields of their JSON body and the
+ * responses they return. The last response is taken as the success path.
+ */
+class ApiRouteAnalyzer {
+  constructor(filePath, resolver = new TypeResolver()) {
+    this.filePath = filePath;
+    this.resolver = resolver;
+  }
+
+  async analyze() {
+    const ts = loadTypeScript();
+    this.entry = await this.resolver.load(this.filePath);
+    const sourceFile = this.entry.sourceFile;
+    const functions = [];
+
+    for (const statement of sourceFile.statements) {
+      if (!(ts.getModifiers(statement) || []).some(m => m.kind === ts.SyntaxKind.ExportKeyword)) continue;
+      if (ts.isFunctionDeclaration(statement) && statement.name && HTTP_METHODS.includes(statement.name.text)) {
+        functions.push({ method: statement.name.text, fn: statement });
+      } else if (ts.isVariableStatement(statement)) {
+        statement.declarationList.declarations.forEach(decl => {
+          const fn = decl.initializer && unwrapParens(decl.initializer);
+          if (!ts.isIdentifier(decl.name) || !HTTP_METHODS.includes(decl.name.text) || !fn) return;
+          if (ts.isArrowFunction(fn) || ts.isFunctionExpression(fn)) functions.push({ method: decl.name.text, fn });
+        });
+      }
+    }
+
+    const handlers = [];
+    for (const { method, fn } of functions) {
+      const responses = [];
+      for (const response of this.responses(fn)) {
+        responses.push({ ...response, type: response.typeNode ? await this.responseType(response.typeNode) : null });
+      }
+      handlers.push({ method, source: dedentedText(fn, sourceFile), body: await this.requestBody(fn), responses });
+    }
+    return handlers.sort((a, b) => HTTP_METHODS.indexOf(a.method) - HTTP_METHODS.indexOf(b.method));
+  }
+
+  /**
+   * Fields of the JSON body, from `const body: T = await req.json()`,
+   * `(await req.json()) as T` or `const { a, b } = await req.json()`.
+   * Returns null when the handler does not read a body.
+   */
+  async requestBody(fn) {
+    const ts = loadTypeScript();
+    const [param] = fn.parameters;
+    const request = param && ts.isIdentifier(param.name) ? param.name.text : null;
+    let call = null;
+    walk(fn.body, node => {
+      if (call || !ts.isCallExpression(node) || !ts.isPropertyAccessExpression(node.expression)) return;
+      const { expression, name } = node.expression;
+      if (name.text === 'json' && ts.isIdentifier(expression) && expression.text === request) call = node;
+    });
+    if (!call) return null;
+
+    let outer = call.parent;
+    let typeNode = null;
+    while (outer && (ts.isAwaitExpression(outer) || ts.isParenthesizedExpression(outer) || ts.isAsExpression(outer))) {
+      if (ts.isAsExpression(outer)) typeNode = outer.type;
+      outer = outer.parent;
+    }
+    if (outer && ts.isVariableDeclaration(outer)) {
+      typeNode = typeNode || outer.type || null;
+      if (!typeNode && ts.isObjectBindingPattern(outer.name)) {
+        const fields = outer.name.elements.map(el => ({ name: (el.propertyName || el.name).getText(), type: 'unknown', optional: true }));
+        return { typeName: null, fields };
+      }
+    }
+    if (!typeNode) return { typeName: null, fields: [] };
+    return {
+      typeName: ts.isTypeReferenceNode(typeNode) ? typeNode.typeName.getText() : null,
+      fields: await this.resolver.resolveFields(typeNode, this.entry)
+    };
+  }
+
+  // Returned responses outside nested functions, in source order.
+  responses(fn) {
+    const ts = loadTypeScript();
+    const responses = [];
+    const add = expr => {
+      const response = this.response(unwrapParens(expr), fn);
+      if (response) responses.push(response);
+    };
+    const visit = node => {
+      if (ts.isFunctionLike(node)) return;
+      if (ts.isReturnStatement(node) && node.expression) add(node.expression);
+      ts.forEachChild(node, visit);
+    };
+    if (ts.isBlock(fn.body)) ts.forEachChild(fn.body, visit);
+    else add(fn.body);
+    return responses;
+  }
+
+  // `NextResponse.json(body, { status })`, `Response.json(...)` or `new NextResponse(body, { status })`.
+  response(expr, fn) {
+    const ts = loadTypeScript();
+    const isResponseClass = node => /^(Next)?Response$/.test(node.getText());
+    let json;
+    if (
+      ts.isCallExpression(expr) &&
+      ts.isPropertyAccessExpression(expr.expression) &&
+      expr.expression.name.text === 'json' &&
+      isResponseClass(expr.expression.expression)
+    ) {
+      json = true;
+    } else if (ts.isNewExpression(expr) && isResponseClass(expr.expression)) {
+      json = false;
+    } else {
+      return null;
+    }
+
+    const [body = null, init = null] = expr.arguments || [];
+    let status = 200;
+    if (init && ts.isObjectLiteralExpression(init)) {
+      const prop = init.properties.find(p => ts.isPropertyAssignment(p) && p.name.getText() === 'status');
+      if (prop && ts.isNumericLiteral(prop.initializer)) status = Number(prop.initializer.text);
+    }
+    const empty = !body || body.kind === ts.SyntaxKind.NullKeyword;
+    return {
+      status,
+      json: json && !empty,
+      body: empty ? null : body,
+      typeNode: (expr.typeArguments && expr.typeArguments[0]) || (empty ? null : this.declaredType(body, fn)),
+      text: expr.getText().replace(/\s+/g, ' ')
+    };
+  }
+
+  // Type of a response body: `x as T`, `x satisfies T`, or a local declared `const x: T`.
+  declaredType(body, fn) {
+    const ts = loadTypeScript();
+    const expr = unwrapParens(body);
+    if (ts.isAsExpression(expr) || (ts.isSatisfiesExpression && ts.isSatisfiesExpression(expr))) return expr.type;
+    if (!ts.isIdentifier(expr)) return null;
+    let type = null;
+    walk(fn, node => {
+      if (!type && ts.isVariableDeclaration(node) && ts.isIdentifier(node.name) && node.name.text === expr.text) type = node.type || null;
+    });
+    return type;
+  }
+
+  // { typeName, collection, fields } for `T` and `T[]`.
+  async responseType(typeNode) {
+    const ts = loadTypeScript();
+    let node = typeNode;
+    let collection = false;
+    // `User | null` renders as a User; the nil case is an early return.
+    if (ts.isUnionTypeNode(node)) {
+      const present = node.types.filter(t => !ts.isLiteralTypeNode(t) && t.kind !== ts.SyntaxKind.UndefinedKeyword);
+      if (present.length === 1) node = present[0];
+    }
+    if (ts.isArrayTypeNode(node)) {
+      node = node.elementType;
+      collection = true;
+    } else if (ts.isTypeReferenceNode(node) && node.typeName.getText() === 'Array' && node.typeArguments) {
+      node = node.typeArguments[0];
+      collection = true;
+    }
+    return {
+      typeName: ts.isTypeReferenceNode(node) ? node.typeName.getText() : null,
+      collection,
+      fields: await this.resolver.resolveFields(node, this.entry)
+    };
+  }
+}
+
+/**
+ * Builds an `Api::` controller from the handlers of its route files. When an
+ * interface matches the controller name, actions follow the Rails API
+ * scaffold (find / save / update / destroy!); other actions quote the handler
+ * as a TODO. Statuses come from the Next.js responses.
+ */
+class ApiControllerGenerator {
+  constructor(entities = [], template = FALLBACK_TEMPLATES.apiController) {
+    this.template = template;
+    this.entities = new Map(entities.map(e => [e.name, e]));
+    // Table name → model name, as in RouteGenerator.
+    this.models = new Map(entities.map(e => [pluralize(toSnakeCase(e.name)), e.name]));
+    this.translator = new JsxTranslator({ props: [], state: [] });
+  }
+
+  generate(controller, routes) {
+    const model = this.models.get(controller.split('/').pop()) || null;
+    const handlers = [];
+    const seen = new Set();
+    routes.forEach(route => {
+      route.handlers.forEach(handler => {
+        if (seen.has(handler.action)) return;
+        seen.add(handler.action);
+        handlers.push({ route, handler });
+      });
+    });
+
+    const paramsMethods = this.paramsMethods(handlers.map(h => h.handler), model);
+    const actions = handlers.map(({ route, handler }) => {
+      const paramsMethod = [...paramsMethods].find(([, m]) => m.actions.includes(handler.action));
+      const body = [
+        ...handler.responses.slice(0, -1).map(r => `# Next.js also responds ${r.status}: ${r.text}`),
+        ...this.actionBody(handler, route, model, paramsMethod ? paramsMethod[0] : null)
+      ];
+      return [
+        `# ${handler.method} /api/${route.path} (${path.relative(ROOT, route.filePath)})`,
+        `def ${handler.action}`,
+        ...body.map(line => `  ${line}`),
+        'end'
+      ].join('\n  ');
+    });
+
+    const privateMethods = [...paramsMethods].map(([name, { fields }]) => this.paramsMethod(name, fields, model));
+    return this.template
+      .replace(/{{controller_class}}/g, `${controller.split('/').map(toPascalCase).join('::')}Controller`)
+      .replace(/{{route_files}}/g, routes.map(r => path.relative(ROOT, r.filePath)).join(', '))
+      .replace(/{{actions}}/g, actions.join('\n\n  '))
+      .replace(/{{private_methods}}/g, privateMethods.length ? `\n\n  private\n\n  ${privateMethods.join('\n\n  ')}` : '');
+  }
+
+  /**
+   * Strong-parameters methods by name: { actions, fields }. Handlers whose
+   * bodies permit the same keys share a method; when a name would cover
+   * different bodies, each gets its action as a prefix (`create_user_params`,
+   * `update_user_params`) so no action permits more than its body type.
+   */
+  paramsMethods(handlers, model) {
+    const groups = new Map();
+    handlers
+      .filter(handler => handler.body)
+      .forEach(handler => {
+        const name = this.paramsMethodName(handler, model);
+        const keys = handler.body.fields.map(f => `${f.name}:${f.type}`).sort().join(',');
+        const bodies = groups.get(name) || new Map();
+        if (!bodies.has(keys)) bodies.set(keys, { actions: [], fields: handler.body.fields });
+        bodies.get(keys).actions.push(handler.action);
+        groups.set(name, bodies);
+      });
+
+    const methods = new Map();
+    groups.forEach((bodies, name) => {
+      bodies.forEach(method => methods.set(bodies.size > 1 ? `${method.actions[0]}_${name}` : name, method));
+    });
+    return methods;
+  }
+
+  // `user_params` for a model; otherwise named after the body type (`LoginRequest` → `login_params`) or the action.
+  paramsMethodName(handler, model) {
+    if (model) return `${toSnakeCase(model)}_params`;
+    const typeName = handler.body.typeName && handler.body.typeName.replace(/(Input|Body|Request|Payload|Params|Data)$/, '');
+    return `${typeName ? toSnakeCase(typeName) : handler.action}_params`;
+  }
+
+  actionBody(handler, route, model, paramsMethod) {
+    const success = handler.responses[handler.responses.length - 1] || null;
+    const param = route.params.length ? routeParamName(route.params[route.params.length - 1].name) : null;
+    if (model && (handler.action === 'index' || handler.action === 'create' || param)) {
+      const record = `@${toSnakeCase(model)}`;
+      const find = `${record} = ${model}.find(params[:${param}])`;
+      const saved = [
+        ...this.renderLines(success, record, model).map(line => `  ${line}`),
+        'else',
+        `  render json: ${record}.errors, status: :unprocessable_entity`,
+        'end'
+      ];
+      switch (handler.action) {
+        case 'index': {
+          const collection = `@${pluralize(toSnakeCase(model))}`;
+          return [`${collection} = ${model}.all`, ...this.renderLines(success, collection, model)];
+        }
+        case 'show':
+          return [find, ...this.renderLines(success, record, model)];
+        case 'create':
+          return [`${record} = ${model}.new${paramsMethod ? `(${paramsMethod})` : ''}`, `if ${record}.save`, ...saved];
+        case 'update':
+          return paramsMethod
+            ? [find, `if ${record}.update(${paramsMethod})`, ...saved]
+            : [find, '# TODO: the handler reads no JSON body; apply the change here', ...this.renderLines(success, record, model)];
+        default:
+          return [find, `${record}.destroy!`, ...this.renderLines(success, null, model)];
+      }
     }
-    return targets.length ? targets.join(', ') : '';
+
+    const source = handler.source.split('\n').map(line => `# ${line}`.trimEnd());
+    const note = paramsMethod ? ` (the body is in ${paramsMethod})` : '';
+    return [`# TODO: port from ${path.relative(ROOT, route.filePath)}${note}:`, ...source, ...this.renderLines(success, null, model)];
+  }
+
+  // `render json: ..., status: ...` for a response, or `head` when it has no JSON body.
+  renderLines(response, subject, model) {
+    if (!response) return ['# TODO: the handler returns no NextResponse', 'head :ok'];
+    if (!response.json) return [`head ${railsStatus(response.status)}`];
+    const status = response.status === 200 ? '' : `, status: ${railsStatus(response.status)}`;
+    const { ruby, todo } = this.jsonValue(response, subject, model);
+    return [...(todo ? [`# TODO: ${todo}`] : []), `render json: ${ruby}${status}`];
+  }
+
+  /**
+   * The record itself when the response type is the model; `as_json(only:)`
+   * when it is a subset of its fields; literals translated; otherwise a hash
+   * of the response type's keys to fill in.
+   */
+  jsonValue(response, subject, model) {
+    const type = response.type;
+    if (subject && (!type || type.typeName === model)) return { ruby: subject };
+    const keys = type ? type.fields.map(f => toSnakeCase(f.name)) : [];
+    if (subject && keys.length) return { ruby: `${subject}.as_json(only: ${rubyArray(keys).replace(/^%w/, '%i')})` };
+
+    const ruby = this.translator.expression(response.body);
+    if (ruby !== null) return { ruby };
+    const todo = `build the response from ${response.body.getText().replace(/\s+/g, ' ')}`;
+    return { ruby: keys.length ? `{ ${keys.map(k => `${k}: nil`).join(', ')} }` : '{}', todo };
+  }
+
+  // Strong parameters from the body type; nested arrays of objects need their keys listed by hand.
+  paramsMethod(name, fields, model) {
+    const todos = [];
+    const permits = [];
+    const isObject = type => type.startsWith('{') || /^Record</.test(type) || this.entities.has(type);
+    fields.forEach(field => {
+      const key = toSnakeCase(field.name);
+      if (key === 'id' || TIMESTAMP_COLUMNS.has(key)) return;
+      const { type } = stripNullable(field.type);
+      const element = collectionElementType(type);
+      if (element !== null && isObject(element)) todos.push(`# TODO: permit the keys of each ${key} entry (${element})`);
+      else if (element !== null) permits.push(`${key}: []`);
+      else if (isObject(type)) permits.push(`${key}: {}`);
+      else permits.push(`:${key}`);
+    });
+    // Scalars first: Ruby needs the hash arguments last.
+    permits.sort((a, b) => Number(!a.startsWith(':')) - Number(!b.startsWith(':')));
+    const scope = model ? `params.require(:${toSnakeCase(model)})` : 'params';
+    return [`def ${name}`, ...todos.map(t => `  ${t}`), `  ${scope}.permit(${permits.join(', ')})`, 'end'].join('\n  ');
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Three-way Merge
+// -----------------------------------------------------------------------------
+
+const CONFLICT_START = '<<<<<<< local edits';
+const CONFLICT_SEPARATOR = '=======';
+const CONFLICT_END = '>>>>>>> regenerated';
+
+// For each line of `a`, the index of the line of `b` it is paired with in a
+// longest common subsequence, or -1.
+function lcsMatches(a, b) {
+  const width = b.length + 1;
+  const table = new Int32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * width + j] =
+        a[i] === b[j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const matches = new Array(a.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matches[i++] = j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+/**
+ * Line-based diff3. `base` is what the generator wrote last time, `ours` the
+ * file on disk (possibly hand-edited) and `theirs` the fresh output. Chunks
+ * changed on one side only take that side; chunks changed differently on both
+ * sides are wrapped in conflict markers.
+ */
+function mergeThreeWay(base, ours, theirs) {
+  const [b, o, t] = [base, ours, theirs].map(text => text.split('\n'));
+  const matchOurs = lcsMatches(b, o);
+  const matchTheirs = lcsMatches(b, t);
+  const output = [];
+  let conflicts = 0;
+  let i = 0;
+  let oi = 0;
+  let ti = 0;
+
+  const same = (x, y) => x.length === y.length && x.every((line, idx) => line === y[idx]);
+
+  while (i <= b.length) {
+    if (i < b.length && matchOurs[i] === oi && matchTheirs[i] === ti) {
+      output.push(b[i]);
+      i++;
+      oi++;
+      ti++;
+      continue;
+    }
+
+    let k = i;
+    while (k < b.length && (matchOurs[k] === -1 || matchTheirs[k] === -1)) k++;
+    const oursEnd = k < b.length ? matchOurs[k] : o.length;
+    const theirsEnd = k < b.length ? matchTheirs[k] : t.length;
+
+    const baseChunk = b.slice(i, k);
+    const oursChunk = o.slice(oi, oursEnd);
+    const theirsChunk = t.slice(ti, theirsEnd);
+
+    if (same(oursChunk, baseChunk) || same(oursChunk, theirsChunk)) {
+      output.push(...theirsChunk);
+    } else if (same(theirsChunk, baseChunk)) {
+      output.push(...oursChunk);
+    } else {
+      conflicts++;
+      output.push(CONFLICT_START, ...oursChunk, CONFLICT_SEPARATOR, ...theirsChunk, CONFLICT_END);
+    }
+
+    if (k >= b.length) break;
+    i = k;
+    oi = oursEnd;
+    ti = theirsEnd;
   }
 
-  generateInitCode() {
-    return `// Initialize controller\n    console.log('${this.analysis.name} controller connected')`;
-  }
+  return { text: output.join('\n'), conflicts };
+}
+
+// -----------------------------------------------------------------------------
+// Generation Cache
+// -----------------------------------------------------------------------------
+
+/**
+ * Content hashes of the source files the last generation ran against, keyed
+ * by path relative to the project root.
+ */
+class GenerationCache {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.hashes = {};
+  }
+
+  async load() {
+    try {
+      this.hashes = JSON.parse(await fs.readFile(this.filePath, 'utf-8')).hashes || {};
+    } catch {
+      this.hashes = {};
+    }
+  }
+
+  async save() {
+    await ensureDir(path.dirname(this.filePath));
+    await fs.writeFile(this.filePath, `${JSON.stringify({ hashes: this.hashes }, null, 2)}\n`);
+  }
+
+  files() {
+    return Object.keys(this.hashes).map(rel => path.join(ROOT, rel));
+  }
+
+  get(filePath) {
+    return this.hashes[path.relative(ROOT, filePath)] || null;
+  }
+
+  set(filePath, hash) {
+    this.hashes[path.relative(ROOT, filePath)] = hash;
+  }
+
+  remove(filePath) {
+    delete this.hashes[path.relative(ROOT, filePath)];
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Mapping Log
+// -----------------------------------------------------------------------------
+
+const MAPPING_LOG_HEADER = '# React to Rails Mapping Log (ViewComponent + RubyUI)\n\n## Entries\n';
+const MAPPING_REMOVED_STATUS = '- **Status:** ⚠️ React component removed; delete this entry once the Rails side is retired';
+// Lines the generator owns but never overwrites once someone has filled them in.
+const MAPPING_HAND_WRITTEN = { '- **RubyUI usage:**': '- **RubyUI usage:** [Document which RubyUI components to use]' };
+
+/**
+ * Splits the mapping log into the text up to and including `## Entries` and
+ * the `## Name` sections after it, keyed by component name. Logs written
+ * before the heading existed are treated as entries only.
+ */
+function parseMappingLog(content) {
+  const match = content.match(/^## Entries[^\n]*\n/m);
+  const head = match ? content.slice(0, match.index + match[0].length) : '';
+  const body = match ? content.slice(head.length) : content;
+  const firstEntry = body.search(/^## /m);
+  const entries = new Map();
+
+  if (firstEntry === -1) return { head: head + body, entries };
+  body
+    .slice(firstEntry)
+    .split(/^(?=## )/m)
+    .forEach(section => {
+      const lines = section.replace(/\s+$/, '').split('\n');
+      entries.set(lines[0].slice(3).trim(), lines);
+    });
+
+  return { head: head + body.slice(0, firstEntry), entries };
+}
 
-  generateCleanupCode() {
-    return `// Cleanup resources\n    console.log('${this.analysis.name} controller disconnected')`;
-  }
+function renderMappingLog({ head, entries }) {
+  const sections = [...entries.keys()]
+    .sort((a, b) => a.localeCompare(b))
+    .map(name => entries.get(name).join('\n'));
+  const prefix = head.replace(/\s+$/, '');
+  return `${prefix}\n\n${sections.join('\n\n')}\n`;
+}
 
-  generateActionMethods() {
-    if (!this.analysis.handlers.length) {
-      return '// Add event handlers here';
-    }
-    return this.analysis.handlers
-      .map(
-        h => `${h.name}(event) {
-    console.log('${h.name} called', event);
-  }`
-      )
-      .join('\n\n  ');
-  }
+// The `- **Label:**` / `  - Label:` part of a mapping-log line, used to match lines across runs.
+function mappingLineKey(line) {
+  const match = line.match(/^\s*- (\*\*[^*]+:\*\*|[^:]+:)/);
+  return match ? match[0] : null;
+}
 
-  tsToJsType(tsType = '') {
-    const type = tsType.toLowerCase();
-    if (type.includes('number')) return 'Number';
-    if (type.includes('boolean')) return 'Boolean';
-    if (type.includes('string')) return 'String';
-    if (type.includes('array') || type.includes('[]')) return 'Array';
-    if (type.includes('record') || type.includes('object')) return 'Object';
-    return 'String';
-  }
+/**
+ * Replaces the generated lines of an entry, keeping hand-written ones:
+ * filled-in placeholders stay as written and unknown lines (notes) are
+ * carried over after the generated block.
+ */
+function mergeMappingEntry(previous, generated) {
+  if (!previous) return generated;
+  const previousByKey = new Map(previous.slice(1).map(line => [mappingLineKey(line), line]));
+  // Notes have no key, so only keyed lines can be replaced by generated ones.
+  const generatedKeys = new Set(generated.map(mappingLineKey).filter(Boolean));
+
+  const lines = generated.map(line => {
+    const key = mappingLineKey(line);
+    const kept = previousByKey.get(key);
+    return key in MAPPING_HAND_WRITTEN && kept && kept !== MAPPING_HAND_WRITTEN[key] ? kept : line;
+  });
+  const notes = previous
+    .slice(1)
+    .filter(line => line !== MAPPING_REMOVED_STATUS && !generatedKeys.has(mappingLineKey(line)));
+
+  return lines.concat(notes);
 }
 
 // -----------------------------------------------------------------------------
-// Model Generator
+// Parity Checker
 // -----------------------------------------------------------------------------
 
-class ModelGenerator {
-  constructor(typesContent, template) {
-    this.typesContent = typesContent;
-    this.template = template;
-    this.models = [];
+/**
+ * Compares the React sources with what exists under `rails_generated/` and
+ * the mapping log, without writing anything.
+ */
+class ParityChecker {
+  constructor(resolver) {
+    this.resolver = resolver;
   }
 
-  async parse() {
-    const interfaceRegex = /export\s+(interface|type)\s+(\w+)\s*=?\s*{([^}]+)}/gs;
-    let match;
-    while ((match = interfaceRegex.exec(this.typesContent)) !== null) {
-      const modelName = match[2];
-      const fields = this.parseFields(match[3]);
-      this.models.push({
-        name: modelName,
-        fields,
-        associations: this.inferAssociations(fields),
-        validations: this.inferValidations(fields)
-      });
+  async run() {
+    const discovered = await discoverComponents();
+    const componentNames = discovered.map(c => c.name);
+    const components = [];
+    for (const component of discovered) components.push(await this.checkComponent(component));
+
+    const models = [];
+    if (CONFIG.generators.models && (await existingTypeFiles()).length) {
+      for (const entity of await this.resolver.collectEntities()) {
+        const modelPath = modelOutputPath(entity.name);
+        models.push({ name: entity.name, path: path.relative(ROOT, modelPath), missing: !(await pathExists(modelPath)) });
+      }
     }
-    return this.models;
-  }
 
-  parseFields(fieldsStr) {
-    return sanitizeLines(fieldsStr)
-      .map(line => line.replace(/[,;]\s*$/, ''))
-      .map(line => {
-        const match = line.match(/(\w+)(\?)?:\s*(.+)/);
-        if (!match) return null;
-        return {
-          name: match[1],
-          optional: Boolean(match[2]),
-          type: match[3].trim()
-        };
-      })
-      .filter(Boolean);
-  }
+    // Page and layout components come from --routes, so they are not orphans.
+    const routes = CONFIG.generators.routes ? await discoverRoutes() : null;
+    const pageNames = routes ? routes.componentNames() : [];
+    const orphans = await this.findOrphans(componentNames.concat(pageNames), models.map(m => m.name));
+    const staleDocs = await this.findStaleDocs(components);
 
-  inferAssociations(fields) {
-    const associations = [];
-    fields.forEach(field => {
-      if (this.isForeignKey(field)) {
-        const base = field.name.replace(/(_id|Id)$/i, '');
-        associations.push({ type: 'belongs_to', name: base });
-      } else if (this.isCollection(field.type)) {
-        const singular = field.name.replace(/s$/, '') || field.name;
-        associations.push({ type: 'has_many', name: field.name, className: this.capitalize(singular) });
-      }
-    });
-    return associations;
-  }
+    const drift =
+      components.some(c => c.missing.length || c.propsAdded.length || c.propsRemoved.length) ||
+      models.some(m => m.missing) ||
+      orphans.length > 0 ||
+      staleDocs.length > 0;
 
-  inferValidations(fields) {
-    const validations = [];
-    fields.forEach(field => {
-      if (!field.optional) {
-        validations.push({ type: 'presence', field: field.name });
-      }
-      if (/email/i.test(field.name)) {
-        validations.push({ type: 'email', field: field.name });
-      }
-      if (/url/i.test(field.name)) {
-        validations.push({ type: 'url', field: field.name });
-      }
-    });
-    return validations;
+    return { drift, components, models, orphans, staleDocs };
   }
 
-  isForeignKey(field) {
-    if (!/(_id|Id)$/i.test(field.name)) return false;
-    const t = field.type.toLowerCase();
-    return t.includes('string') || t.includes('number') || t.includes('uuid');
-  }
+  async checkComponent({ name, filePath }) {
+    const analyzer = new ComponentAnalyzer(filePath, this.resolver);
+    const analysis = await analyzer.analyze();
+    const outputs = componentOutputPaths(name);
+    const labels = {
+      rb: CONFIG.format === 'phlex' ? 'Phlex component' : 'ViewComponent',
+      erb: 'ERB template',
+      css: 'BEM styles',
+      stimulus: 'Stimulus controller',
+      test: 'Component test'
+    };
 
-  isCollection(typeStr) {
-    return /\[\]$/.test(typeStr.trim()) || /^array<.+>$/i.test(typeStr.trim());
-  }
+    const missing = [];
+    for (const [key, label] of Object.entries(labels)) {
+      if (!CONFIG.generators[COMPONENT_OUTPUT_SWITCHES[key]] || !outputs[key]) continue;
+      if (!(await pathExists(outputs[key]))) missing.push(`${label} (${path.relative(ROOT, outputs[key])})`);
+    }
 
-  async generateModel(model) {
-    return this.template
-      .replace(/{{model_name}}/g, model.name)
-      .replace(/{{associations}}/g, this.formatAssociations(model.associations))
-      .replace(/{{validations}}/g, this.formatValidations(model.validations))
-      .replace(/{{scopes}}/g, this.generateScopes(model))
-      .replace(/{{instance_methods}}/g, this.generateInstanceMethods(model))
-      .replace(/{{interface_path}}/g, 'src/types/index.ts')
-      .replace(/{{timestamp}}/g, new Date().toISOString());
-  }
+    // Compared by their Rails names: slot props appear as their slot.
+    const reactProps = analysis.props
+      .filter(p => !p.slot || p.slot.kind !== 'content')
+      .map(p => (p.slot ? p.slot.name : p.name));
+    const railsProps = CONFIG.generators.components && (await pathExists(outputs.rb))
+      ? componentInterface(await fs.readFile(outputs.rb, 'utf-8'))
+      : reactProps;
 
-  formatAssociations(associations) {
-    if (!associations.length) return '# associations: none inferred';
-    return associations
-      .map(a => {
-        if (a.type === 'belongs_to') {
-          return `belongs_to :${a.name}`;
-        }
-        if (a.type === 'has_many') {
-          return `has_many :${a.name}${a.className ? `, class_name: '${a.className}'` : ''}`;
-        }
-        return '';
-      })
-      .filter(Boolean)
-      .join('\n  ');
+    return {
+      name,
+      props: analysis.props.map(p => p.name),
+      missing,
+      propsAdded: reactProps.filter(p => !railsProps.includes(p)),
+      propsRemoved: railsProps.filter(p => !reactProps.includes(p))
+    };
   }
 
-  formatValidations(validations) {
-    if (!validations.length) return '# validations: none inferred';
-    return validations
-      .map(v => {
-        if (v.type === 'presence') return `validates :${v.field}, presence: true`;
-        if (v.type === 'email') return `validates :${v.field}, format: { with: URI::MailTo::EMAIL_REGEXP }`;
-        if (v.type === 'url') return `validates :${v.field}, format: { with: URI::DEFAULT_PARSER.make_regexp }`;
-        return '';
-      })
-      .filter(Boolean)
-      .join('\n  ');
+  async findOrphans(componentNames, modelNames) {
+    const orphans = [];
+    const expected = new Set(
+      componentNames
+        .flatMap(name => Object.values(componentOutputPaths(name)))
+        .concat(modelNames.map(modelOutputPath), modelNames.map(modelTestOutputPath))
+    );
+    const candidates = [
+      ['components', CONFIG.paths.output.components, f => f.endsWith('_component.rb') || f.endsWith('_component.html.erb')],
+      ['styles', path.join(CONFIG.paths.output.stylesheets, 'components'), f => f.endsWith('.css')],
+      ['stimulus', CONFIG.paths.output.stimulus, f => f.endsWith('_controller.js')],
+      ['models', CONFIG.paths.output.models, f => f.endsWith('.rb')],
+      ['tests', path.join(CONFIG.paths.output.tests, 'components'), f => f.endsWith(CONFIG.format === 'phlex' ? '_test.rb' : '_component_test.rb')],
+      ['tests', path.join(CONFIG.paths.output.tests, 'components', 'previews'), f => f.endsWith('_component_preview.rb')],
+      ['tests', path.join(CONFIG.paths.output.tests, 'models'), f => f.endsWith('_test.rb')]
+    ];
+
+    for (const [generator, dir, filter] of candidates) {
+      if (!CONFIG.generators[generator] || !(await pathExists(dir))) continue;
+      for (const file of await listFiles(dir, filter)) {
+        if (!expected.has(file)) orphans.push(path.relative(ROOT, file));
+      }
+    }
+    return orphans;
   }
 
-  generateScopes(model) {
-    return `scope :recent, -> { order(created_at: :desc) }`;
+  // Mapping-log entries whose component is gone or whose props list is out of date.
+  async findStaleDocs(components) {
+    if (!(await pathExists(CONFIG.paths.mappingLog))) return [];
+    const { entries } = parseMappingLog(await fs.readFile(CONFIG.paths.mappingLog, 'utf-8'));
+    const byName = new Map(components.map(c => [c.name, c]));
+    const stale = [];
+
+    entries.forEach((lines, name) => {
+      const component = byName.get(name);
+      if (!component) {
+        stale.push({ name, reason: 'component no longer exists' });
+        return;
+      }
+      const propsLine = lines.find(line => mappingLineKey(line) === '  - Props:');
+      const propsText = propsLine ? propsLine.slice('  - Props:'.length).trim() : 'n/a';
+      const documented = propsText !== 'n/a' ? propsText.split(',').map(p => p.trim()) : [];
+      const current = component.props;
+      if (documented.length !== current.length || documented.some(p => !current.includes(p))) {
+        stale.push({ name, reason: `documented props (${documented.join(', ') || 'none'}) differ from React` });
+      }
+    });
+    return stale;
   }
+}
 
-  generateInstanceMethods(model) {
-    return '# add instance methods as needed';
-  }
+// Generator switch controlling each file in componentOutputPaths().
+const COMPONENT_OUTPUT_SWITCHES = {
+  rb: 'components',
+  erb: 'components',
+  css: 'styles',
+  stimulus: 'stimulus',
+  test: 'tests',
+  preview: 'tests'
+};
 
-  capitalize(str) {
-    return str.charAt(0).toUpperCase() + str.slice(1);
-  }
+// Keyword names from the first `def initialize(...)` in a Ruby file, plus its slot names.
+function componentInterface(rubySource) {
+  const match = rubySource.match(/def initialize\(([^)]*)\)/);
+  const keywords = match
+    ? match[1]
+        .split(',')
+        .map(part => part.trim().match(/^(\w+):/))
+        .filter(Boolean)
+        .map(m => m[1])
+    : [];
+  const slots = Array.from(rubySource.matchAll(/^\s*renders_(?:one|many) :(\w+)/gm), m => m[1]);
+  return keywords.concat(slots);
 }
 
 // -----------------------------------------------------------------------------
@@ -662,6 +6531,11 @@ class CLI {
   constructor(args) {
     this.args = args;
     this.options = this.parseArgs(args);
+    this.resetMergeReport();
+    // lucide-react icon → components using it, for icons with no rails_icons equivalent
+    this.unmappedIcons = new Map();
+    // shadcn/ui primitive → components using it, for primitives with no RubyUI mapping
+    this.unmappedPrimitives = new Map();
   }
 
   parseArgs(args) {
@@ -669,19 +6543,39 @@ class CLI {
       all: false,
       component: null,
       modelsOnly: false,
+      migrations: false,
+      routes: false,
+      seeds: false,
       dryRun: false,
       updateDocs: false,
+      watch: false,
+      force: false,
+      check: false,
+      json: false,
+      config: null,
+      format: null,
       help: false
     };
 
     args.forEach(arg => {
       if (arg === '--all') options.all = true;
       else if (arg === '--models-only') options.modelsOnly = true;
+      else if (arg === '--migrations') options.migrations = true;
+      else if (arg === '--routes') options.routes = true;
+      else if (arg === '--seeds') options.seeds = true;
       else if (arg === '--dry-run') options.dryRun = true;
       else if (arg === '--update-docs') options.updateDocs = true;
+      else if (arg === '--watch') options.watch = true;
+      else if (arg === '--force') options.force = true;
+      else if (arg === '--check') options.check = true;
+      else if (arg === '--json') options.json = true;
       else if (arg === '--help' || arg === '-h') options.help = true;
       else if (arg.startsWith('--component=')) {
         options.component = arg.split('=')[1];
+      } else if (arg.startsWith('--config=')) {
+        options.config = arg.slice('--config='.length);
+      } else if (arg.startsWith('--format=')) {
+        options.format = arg.slice('--format='.length);
       }
     });
 
@@ -694,20 +6588,51 @@ class CLI {
       return;
     }
 
+    const configFile = await loadProjectConfig(this.options.config);
+    if (this.options.format) {
+      if (!OUTPUT_FORMATS.includes(this.options.format)) {
+        throw new Error(`Unknown --format=${this.options.format} (expected ${OUTPUT_FORMATS.join(' or ')})`);
+      }
+      CONFIG.format = this.options.format;
+    }
+
+    if (this.options.check) {
+      await this.check();
+      return;
+    }
+
     console.log('🚀 Rails Component Generator\n');
+    if (configFile) console.log(`⚙️  Using ${path.relative(process.cwd(), configFile) || configFile}\n`);
 
     await this.assertPrereqs();
 
-    if (this.options.modelsOnly) {
-      await this.generateModels();
+    if (this.options.watch) {
+      // Watch mode reports merges on each change line instead.
+      await this.watch();
+      return;
+    }
+    if (this.options.modelsOnly || this.options.migrations || this.options.routes || this.options.seeds) {
+      if (this.options.modelsOnly) await this.generateModels();
+      if (this.options.migrations) await this.generateMigrations();
+      if (this.options.seeds) await this.generateSeeds();
+      if (this.options.routes) await this.generateRoutes();
     } else if (this.options.component) {
       await this.generateComponent(this.options.component);
     } else if (this.options.all) {
       await this.generateAll();
     } else {
-      console.log('❌ Please specify --all, --component=Name, or --models-only\n');
+      console.log('❌ Please specify --all, --component=Name, --models-only, --migrations, --seeds, or --routes\n');
       this.showHelp();
     }
+
+    this.printMergeReport();
+    this.printIconReport();
+    this.printRubyUiReport();
+  }
+
+  // Progress output; silenced in --watch mode, which prints its own summary.
+  log(...args) {
+    if (!this.quiet) console.log(...args);
   }
 
   async assertPrereqs() {
@@ -720,95 +6645,372 @@ class CLI {
     }
   }
 
-  async generateComponent(componentName) {
-    console.log(`📦 Generating Rails equivalent for ${componentName}...\n`);
+  // `filePath` generates a component outside the component roots (a Next.js
+  // page or layout) under the given name; those stay out of the mapping log.
+  async generateComponent(componentName, { filePath = null } = {}) {
+    this.log(`📦 Generating Rails equivalent for ${componentName}...\n`);
 
-    const componentPath = path.join(CONFIG.paths.components, `${componentName}.tsx`);
-    if (!(await pathExists(componentPath))) {
-      throw new Error(`Component not found at ${componentPath}`);
+    const component = filePath ? { name: componentName, filePath } : await findComponent(componentName);
+    if (!component) {
+      const roots = CONFIG.paths.componentRoots.map(r => path.relative(ROOT, r.dir)).join(', ');
+      throw new Error(`Component ${componentName} not found in ${roots}`);
     }
+    const componentPath = component.filePath;
 
-    const analyzer = new ComponentAnalyzer(componentPath);
+    const analyzer = new ComponentAnalyzer(componentPath, await this.getTypeResolver(), { componentName: component.name });
     const analysis = await analyzer.analyze();
+    this.reportUnresolvedTypes();
     analysis.filePath = path.relative(ROOT, componentPath);
 
-    console.log(`✓ Analyzed ${componentName}`);
-    console.log(`  - Props: ${analysis.props.length}`);
-    console.log(`  - State: ${analysis.state.length}`);
-    console.log(`  - Handlers: ${analysis.handlers.length}`);
-    console.log(`  - Custom hooks: ${analysis.hooks.length}\n`);
+    this.log(`✓ Analyzed ${componentName}`);
+    this.log(`  - Props: ${analysis.props.length}`);
+    this.log(`  - State: ${analysis.state.length}`);
+    this.log(`  - Handlers: ${analysis.handlers.length}`);
+    this.log(`  - Custom hooks: ${analysis.hooks.length}\n`);
+    analysis.props
+      .filter(p => p.slot && p.slot.shadowed)
+      .forEach(p => {
+        console.log(`⚠️  ${componentName}: the ${p.name} slot is ${p.slot.name}; \`${p.slot.shadowed}\` would shadow the helper of that name`);
+      });
+
+    Object.values(analysis.iconMap).forEach(({ lucide, rails }) => {
+      if (rails) return;
+      if (!this.unmappedIcons.has(lucide)) this.unmappedIcons.set(lucide, new Set());
+      this.unmappedIcons.get(lucide).add(component.name);
+    });
+    Object.values(analysis.uiComponents).forEach(({ primitive, rubyUi }) => {
+      if (rubyUi) return;
+      if (!this.unmappedPrimitives.has(primitive)) this.unmappedPrimitives.set(primitive, new Set());
+      this.unmappedPrimitives.get(primitive).add(component.name);
+    });
 
-    // Load ViewComponent templates
-    const rbTemplate = await loadTemplate(CONFIG.templates.viewComponent, 'viewComponent');
-    const erbTemplate = await loadTemplate(CONFIG.templates.viewComponentErb, 'viewComponentErb');
+    // Generate ViewComponent files, or a Phlex class
     const cssTemplate = await loadTemplate(CONFIG.templates.viewComponentCss, 'viewComponentCss');
-
-    // Generate ViewComponent files
-    const vcGen = new ViewComponentGenerator(analysis, rbTemplate, erbTemplate, cssTemplate);
-    const componentFiles = await vcGen.generate();
+    const componentGen =
+      CONFIG.format === 'phlex'
+        ? new PhlexComponentGenerator(analysis, await loadTemplate(CONFIG.templates.phlexComponent, 'phlexComponent'), cssTemplate)
+        : new ViewComponentGenerator(
+            analysis,
+            await loadTemplate(CONFIG.templates.viewComponent, 'viewComponent'),
+            await loadTemplate(CONFIG.templates.viewComponentErb, 'viewComponentErb'),
+            cssTemplate
+          );
+    const componentFiles = await componentGen.generate();
 
     // Generate Stimulus controller
     const stimulusTemplate = await loadTemplate(CONFIG.templates.stimulus, 'stimulus');
     const stimulusGen = new StimulusGenerator(analysis, stimulusTemplate);
     const stimulusCode = await stimulusGen.generate();
 
+    let savedFiles = [];
     if (this.options.dryRun) {
       this.printDryRun(componentFiles, stimulusCode);
     } else {
-      await this.saveComponentOutput(componentName, componentFiles, stimulusCode);
-      if (this.options.updateDocs) {
-        await this.appendMappingDoc(analysis);
+      const testCode = CONFIG.generators.tests ? (await this.testGenerator()).generateComponentTest(analysis) : null;
+      const previewCode = CONFIG.generators.tests ? await this.generatePreview(analysis, componentPath) : null;
+      savedFiles = await this.saveComponentOutput(component.name, componentFiles, stimulusCode, testCode, previewCode);
+      if (this.options.updateDocs && !filePath) {
+        await this.upsertMappingDoc(analysis);
       }
     }
 
-    console.log('\n✅ Generation complete!');
+    this.log('\n✅ Generation complete!');
+    return { analysis, files: savedFiles };
   }
 
-  async generateModels() {
-    console.log('📦 Generating models from TypeScript interfaces...\n');
+  // One resolver per run: type files are parsed once and shared by the
+  // component analyzers and model generators.
+  async getTypeResolver() {
+    if (!this.typeResolver) {
+      this.typeResolver = new TypeResolver();
+      const typeFiles = await existingTypeFiles();
+      if (typeFiles.length) await this.typeResolver.loadTypeFiles(typeFiles);
+    }
+    return this.typeResolver;
+  }
 
-    if (!(await pathExists(CONFIG.paths.types))) {
-      throw new Error(`Type definitions not found at ${CONFIG.paths.types}`);
+  async getZodSchemas() {
+    if (!this.zodSchemas) {
+      const resolver = await this.getTypeResolver();
+      this.zodSchemas = await readZodSchemas(await schemaFiles(resolver), resolver);
     }
+    return this.zodSchemas;
+  }
 
-    const typesContent = await fs.readFile(CONFIG.paths.types, 'utf-8');
-    const modelTemplate = await loadTemplate(CONFIG.templates.model, 'model');
-    const modelGen = new ModelGenerator(typesContent, modelTemplate);
+  // Model-typed props in component tests render with the model's fixture.
+  async testGenerator(models = null) {
+    const entities = models || ((await existingTypeFiles()).length ? await (await this.getTypeResolver()).collectEntities() : []);
+    return new TestGenerator(entities, {
+      componentTemplate:
+        CONFIG.format === 'phlex'
+          ? await loadTemplate(CONFIG.templates.phlexComponentTest, 'phlexComponentTest')
+          : await loadTemplate(CONFIG.templates.componentTest, 'componentTest'),
+      modelTemplate: await loadTemplate(CONFIG.templates.modelTest, 'modelTest')
+    });
+  }
+
+  // Preview from the stories next to the component, or null when it has none.
+  async generatePreview(analysis, componentPath) {
+    const storiesPath = await storiesFileFor(componentPath);
+    if (!storiesPath) return null;
+    const resolver = await this.getTypeResolver();
+    const stories = await readStories(storiesPath, resolver);
+    const models = (await existingTypeFiles()).length ? await resolver.collectEntities() : [];
+    const template = await loadTemplate(CONFIG.templates.componentPreview, 'componentPreview');
+    return new PreviewGenerator(models, template).generate(analysis, stories);
+  }
+
+  async parseModels(template) {
+    if (!(await existingTypeFiles()).length) {
+      throw new Error(`Type definitions not found at ${CONFIG.paths.types.map(t => path.relative(ROOT, t)).join(', ')}`);
+    }
 
+    const modelGen = new ModelGenerator(await this.getTypeResolver(), template, await this.getZodSchemas());
     const models = await modelGen.parse();
-    console.log(`✓ Found ${models.length} models\n`);
+    this.reportUnresolvedTypes();
+    return { modelGen, models };
+  }
+
+  // Prints unresolved types once each, as they are discovered.
+  reportUnresolvedTypes() {
+    const resolver = this.typeResolver;
+    if (!resolver) return;
+    const fresh = resolver.unresolved.slice(this.reportedUnresolved || 0);
+    fresh.forEach(u => {
+      console.log(`⚠️  Could not resolve type ${u.name} (referenced in ${u.file}); its fields were skipped`);
+    });
+    this.reportedUnresolved = resolver.unresolved.length;
+    if (fresh.length) console.log('');
+  }
+
+  async generateModels() {
+    if (!CONFIG.generators.models) {
+      this.log('ℹ️  Model generation is disabled in the project config.');
+      return [];
+    }
+    this.log('📦 Generating models from TypeScript interfaces...\n');
+
+    const modelTemplate = await loadTemplate(CONFIG.templates.model, 'model');
+    const { modelGen, models } = await this.parseModels(modelTemplate);
+    this.log(`✓ Found ${models.length} models\n`);
 
     for (const model of models) {
       const modelCode = await modelGen.generateModel(model);
 
       if (this.options.dryRun) {
-        console.log(`=== ${model.name} Model ===`);
-        console.log(modelCode);
-        console.log('');
+        this.log(`=== ${model.name} Model ===`);
+        this.log(modelCode);
+        this.log('');
+      } else {
+        const outputPath = modelOutputPath(model.name);
+        await this.writeOutput(outputPath, modelCode);
+        this.log(`✓ Generated ${model.name} model`);
+      }
+    }
+
+    // Tests are written with the models; a dry run previews the models only.
+    if (CONFIG.generators.tests && !this.options.dryRun) {
+      const testGen = await this.testGenerator(models);
+      const migrationGen = new MigrationGenerator(models, null);
+      const mockFixtures = await this.mockFixtures(models);
+      for (const model of models) {
+        const fixtures = mockFixtures.get(model.name) || testGen.generateFixtures(model, migrationGen.columnsFor(model));
+        await this.writeOutput(modelTestOutputPath(model.name), testGen.generateModelTest(model));
+        await this.writeOutput(fixtureOutputPath(model.name), fixtures);
+        this.log(`✓ Generated ${model.name} test and fixtures`);
+      }
+    }
+
+    this.log('\n✅ Model generation complete!');
+    return models;
+  }
+
+  // Fixtures built from the mock data by model name, so regenerating the
+  // models keeps the records `--seeds` wrote. Empty when seeds are disabled,
+  // there is no mock data, or it has references `--seeds` would reject.
+  async mockFixtures(models) {
+    const fixtures = new Map();
+    if (!CONFIG.generators.seeds) return fixtures;
+    const files = await sourceFilesIn(CONFIG.paths.data);
+    const { datasets } = await readMockData(files, await this.getTypeResolver(), models.map(m => m.name));
+    if (!datasets.length) return fixtures;
+
+    const seedGen = new SeedGenerator(models, datasets);
+    if (seedGen.errors.length) {
+      console.log('⚠️  Mock data has foreign keys that point at no record; writing sample fixtures (run --seeds for details)');
+      return fixtures;
+    }
+    seedGen.seededModels().forEach(model => fixtures.set(model.name, seedGen.generateFixtures(model)));
+    return fixtures;
+  }
+
+  async generateMigrations() {
+    if (!CONFIG.generators.migrations) {
+      console.log('ℹ️  Migration generation is disabled in the project config.');
+      return;
+    }
+    console.log('📦 Generating migrations from TypeScript interfaces...\n');
+
+    const { models } = await this.parseModels(null);
+    const migrationTemplate = await loadTemplate(CONFIG.templates.migration, 'migration');
+    const migrationDir = CONFIG.paths.output.migrations;
+    const existingFiles = (await pathExists(migrationDir))
+      ? (await fs.readdir(migrationDir)).filter(f => /^\d{14}_.+\.rb$/.test(f))
+      : [];
+
+    const migrationGen = new MigrationGenerator(models, migrationTemplate, existingFiles);
+    const migrations = migrationGen.generate();
+    const schema = migrationGen.generateSchema(migrations);
+    console.log(`✓ Found ${migrations.length} tables\n`);
+
+    if (this.options.dryRun) {
+      migrations.forEach(m => {
+        console.log(`=== db/migrate/${m.fileName} ===`);
+        console.log(m.code);
+      });
+      console.log('=== db/schema.rb ===');
+      console.log(schema);
+    } else {
+      await ensureDir(migrationDir);
+      for (const migration of migrations) {
+        await this.writeOutput(path.join(migrationDir, migration.fileName), migration.code);
+        console.log(`✓ Generated migration ${migration.fileName}`);
+      }
+      await this.writeOutput(CONFIG.paths.output.schema, schema);
+      console.log(`✓ Generated schema: ${CONFIG.paths.output.schema}`);
+    }
+
+    console.log('\n✅ Migration generation complete!');
+  }
+
+  async generateSeeds() {
+    if (!CONFIG.generators.seeds) {
+      console.log('ℹ️  Seed generation is disabled in the project config.');
+      return;
+    }
+    console.log('📦 Generating seeds from mock data...\n');
+
+    const { models } = await this.parseModels(null);
+    const files = await sourceFilesIn(CONFIG.paths.data);
+    const { datasets, skipped } = await readMockData(files, await this.getTypeResolver(), models.map(m => m.name));
+    skipped.forEach(s => console.log(`ℹ️  Skipped ${s.name} in ${s.filePath}: ${s.reason}`));
+    if (!datasets.length) {
+      console.log(`ℹ️  No exported arrays of model records found in ${CONFIG.paths.data.map(d => path.relative(ROOT, d)).join(', ')}`);
+      return;
+    }
+
+    const seedGen = new SeedGenerator(models, datasets);
+    if (seedGen.errors.length) {
+      throw new Error(`Mock data has foreign keys that point at no record:\n${seedGen.errors.map(e => `  - ${e}`).join('\n')}`);
+    }
+    const output = [[CONFIG.paths.output.seeds, seedGen.generateSeeds()]];
+    // Mock records replace the sample fixtures of the models they cover.
+    if (CONFIG.generators.tests) {
+      seedGen.seededModels().forEach(model => output.push([fixtureOutputPath(model.name), seedGen.generateFixtures(model)]));
+    }
+    const recordCount = datasets.reduce((sum, d) => sum + d.records.length, 0);
+    console.log(`✓ Found ${recordCount} records for ${seedGen.seededModels().length} models\n`);
+
+    for (const [filePath, code] of output) {
+      const rel = path.relative(CONFIG.paths.output.base, filePath);
+      if (this.options.dryRun) {
+        console.log(`=== ${rel} ===`);
+        console.log(code);
       } else {
-        const outputPath = path.join(CONFIG.paths.output.models, `${toSnakeCase(model.name)}.rb`);
-        await ensureDir(path.dirname(outputPath));
-        await fs.writeFile(outputPath, modelCode);
-        console.log(`✓ Generated ${model.name} model`);
+        await this.writeOutput(filePath, code);
+        console.log(`✓ Generated ${rel}`);
       }
     }
 
-    console.log('\n✅ Model generation complete!');
+    if (seedGen.mismatches.length) {
+      console.log('\n⚠️  Mock data that does not match the models:');
+      seedGen.mismatches.forEach(m => {
+        const count = m.count > 1 ? ` (${m.count} records)` : '';
+        console.log(`   - ${m.dataset.name}.${m.key} in ${m.dataset.filePath} ${m.message}${count}`);
+      });
+    }
+    console.log('\n✅ Seed generation complete!');
+  }
+
+  async generateRoutes() {
+    if (!CONFIG.generators.routes) {
+      console.log('ℹ️  Route generation is disabled in the project config.');
+      return;
+    }
+    const scanner = await discoverRoutes();
+    if (!scanner) {
+      throw new Error(`Next.js routes not found in ${ROUTE_DIR_CANDIDATES.join(', ')}; set routes in the project config`);
+    }
+    console.log(`📦 Generating routes from ${path.relative(ROOT, scanner.dir)} (${scanner.router} router)...\n`);
+    if (scanner.rootLayout) {
+      console.log(`ℹ️  ${path.relative(ROOT, scanner.rootLayout)} corresponds to app/views/layouts/application.html.erb; port it by hand.`);
+    }
+    scanner.skipped.forEach(file => this.log(`ℹ️  Skipped ${path.relative(ROOT, file)}: not a page route`));
+
+    const resolver = await this.getTypeResolver();
+    const entities = (await existingTypeFiles()).length ? await resolver.collectEntities() : [];
+    for (const route of scanner.apiRoutes) {
+      route.handlers = await new ApiRouteAnalyzer(route.filePath, resolver).analyze();
+      route.handlers.forEach(handler => (handler.action = apiAction(handler.method, route.member)));
+    }
+    this.reportUnresolvedTypes();
+
+    const template = await loadTemplate(CONFIG.templates.controller, 'controller');
+    const generator = new RouteGenerator(scanner, entities.map(entity => entity.name), template);
+    const output = CONFIG.paths.output;
+    const files = [[output.routes, generator.generateRoutes()]];
+    generator.controllers().forEach((routes, controller) => {
+      files.push([path.join(output.controllers, `${controller}_controller.rb`), generator.generateController(controller, routes)]);
+    });
+
+    const apiGenerator = new ApiControllerGenerator(entities, await loadTemplate(CONFIG.templates.apiController, 'apiController'));
+    const apiControllers = new Map();
+    scanner.apiRoutes.forEach(route => {
+      if (!apiControllers.has(route.controller)) apiControllers.set(route.controller, []);
+      apiControllers.get(route.controller).push(route);
+    });
+    apiControllers.forEach((routes, controller) => {
+      files.push([path.join(output.controllers, 'api', `${controller}_controller.rb`), apiGenerator.generate(`api/${controller}`, routes)]);
+    });
+
+    // Views need each page's props, so the page components are generated first.
+    for (const route of scanner.routes) {
+      const { analysis } = await this.generateComponent(route.componentName, { filePath: route.filePath });
+      files.push([path.join(output.views, route.controller, `${route.action}.html.erb`), generator.generateView(route, analysis)]);
+    }
+    for (const layout of scanner.layouts) {
+      const { analysis } = await this.generateComponent(layout.componentName, { filePath: layout.filePath });
+      files.push([path.join(output.views, 'layouts', `${layout.name}.html.erb`), generator.generateLayout(layout, analysis)]);
+    }
+
+    for (const [filePath, code] of files) {
+      const rel = path.relative(output.base, filePath);
+      if (this.options.dryRun) {
+        console.log(`=== ${rel} ===`);
+        console.log(code);
+      } else {
+        await this.writeOutput(filePath, code);
+        console.log(`✓ Generated ${rel}`);
+      }
+    }
+    const apiCount = scanner.apiRoutes.reduce((sum, route) => sum + route.handlers.length, 0);
+    console.log(
+      `\n✅ Generated ${scanner.routes.length + apiCount} routes across ${generator.controllers().size + apiControllers.size} controllers`
+    );
   }
 
   async generateAll() {
     console.log('📦 Generating all components...\n');
 
-    if (!(await pathExists(CONFIG.paths.components))) {
-      throw new Error(`Components directory not found at ${CONFIG.paths.components}`);
+    const roots = CONFIG.paths.componentRoots.map(r => r.dir);
+    if (!(await Promise.all(roots.map(pathExists))).some(Boolean)) {
+      throw new Error(`Components directory not found at ${roots.map(r => path.relative(ROOT, r)).join(', ')}`);
     }
 
-    const files = await fs.readdir(CONFIG.paths.components);
-    const tsxFiles = files.filter(f => f.endsWith('.tsx'));
-    console.log(`Found ${tsxFiles.length} components\n`);
+    const componentNames = await listComponentNames();
+    console.log(`Found ${componentNames.length} components\n`);
 
-    for (const file of tsxFiles) {
-      const componentName = file.replace('.tsx', '');
+    for (const componentName of componentNames) {
       await this.generateComponent(componentName);
       console.log('---\n');
     }
@@ -816,67 +7018,327 @@ class CLI {
     console.log('✅ All components generated!');
   }
 
-  async saveComponentOutput(componentName, componentFiles, stimulusCode) {
-    const snakeName = toSnakeCase(componentName);
-    const kebabName = toKebabCase(componentName);
+  async check() {
+    const checker = new ParityChecker(await this.getTypeResolver());
+    const report = await checker.run();
 
-    // ViewComponent files (sidecar pattern)
-    const componentDir = path.join(CONFIG.paths.output.components, snakeName);
-    const rbPath = path.join(componentDir, `${snakeName}_component.rb`);
-    const erbPath = path.join(componentDir, `${snakeName}_component.html.erb`);
+    if (this.options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      this.printParityReport(report);
+    }
+    if (report.drift) process.exitCode = 1;
+  }
 
-    // ITCSS-structured CSS (components layer)
-    const cssPath = path.join(CONFIG.paths.output.stylesheets, 'components', `_${kebabName}.css`);
+  printParityReport(report) {
+    console.log('🔎 React ↔ Rails parity check\n');
+
+    report.components.forEach(c => {
+      const issues = [
+        ...c.missing.map(m => `missing ${m}`),
+        ...(c.propsAdded.length ? [`props added in React: ${c.propsAdded.join(', ')}`] : []),
+        ...(c.propsRemoved.length ? [`props removed in React: ${c.propsRemoved.join(', ')}`] : [])
+      ];
+      if (issues.length) console.log(`✗ ${c.name}\n${issues.map(i => `    - ${i}`).join('\n')}`);
+      else console.log(`✓ ${c.name}`);
+    });
+    report.models.forEach(m => {
+      console.log(m.missing ? `✗ ${m.name} model\n    - missing ${m.path}` : `✓ ${m.name} model`);
+    });
+
+    if (report.orphans.length) {
+      console.log('\nOrphaned Rails files (no React source):');
+      report.orphans.forEach(o => console.log(`    - ${o}`));
+    }
+    if (report.staleDocs.length) {
+      console.log(`\nStale entries in ${path.relative(ROOT, CONFIG.paths.mappingLog)}:`);
+      report.staleDocs.forEach(d => console.log(`    - ${d.name}: ${d.reason}`));
+    }
+
+    console.log(report.drift ? '\n❌ Drift detected' : '\n✅ React and Rails are in sync');
+  }
+
+  /**
+   * Watches components and type files, regenerating only files whose content
+   * hash changed since the last run. Hashes persist in
+   * `rails_generated/.generator-cache.json`, so the first pass after a restart
+   * only touches what changed while the watcher was down.
+   */
+  async watch() {
+    this.quiet = true;
+    const cache = new GenerationCache(CONFIG.paths.output.cache);
+    await cache.load();
+
+    const watchedDirs = [...new Set([...CONFIG.paths.componentRoots.map(r => r.dir), ...typeDirs()])];
+    const initial = [];
+    for (const dir of watchedDirs) {
+      if (await pathExists(dir)) initial.push(...(await listFiles(dir, f => /\.tsx?$/.test(f))));
+    }
+    initial.push(...cache.files().filter(f => !initial.includes(f)));
+    await this.processChanges(initial, cache);
+
+    let pending = new Set();
+    let timer = null;
+    let queue = Promise.resolve();
+    const schedule = filePath => {
+      if (!/\.tsx?$/.test(filePath)) return;
+      pending.add(filePath);
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const batch = Array.from(pending);
+        pending = new Set();
+        queue = queue.then(() => this.processChanges(batch, cache));
+      }, 150);
+    };
+
+    for (const dir of watchedDirs) {
+      if (!(await pathExists(dir))) continue;
+      fsSync.watch(dir, { recursive: true }, (event, filename) => {
+        if (filename) schedule(path.join(dir, filename.toString()));
+      });
+      console.log(`👀 Watching ${path.relative(ROOT, dir)}`);
+    }
+    console.log('   Press Ctrl+C to stop.\n');
+  }
+
+  /**
+   * Regenerates each changed component once, however many of its files
+   * (component, stories) changed. A changed type file regenerates the models
+   * and every component that imports it, directly or through `@/types`.
+   */
+  async processChanges(filePaths, cache) {
+    // Component name → the file that triggered it.
+    const components = new Map();
+    const changedTypes = [];
+
+    for (const filePath of filePaths) {
+      // A stories file regenerates its component (and so the preview).
+      const componentName = componentNameFor(STORY_FILE.test(filePath) ? componentFileForStories(filePath) : filePath);
+      const isComponent = componentName !== null;
+      const isType = typeDirs().some(dir => isInside(filePath, dir));
+      if (!isComponent && !isType) continue;
+
+      const hash = await hashFile(filePath);
+      if (hash === cache.get(filePath)) continue;
+
+      if (hash === null) {
+        cache.remove(filePath);
+        if (isComponent && !STORY_FILE.test(filePath)) {
+          console.log(`${timeStamp()} 🗑  ${path.relative(ROOT, filePath)} removed (Rails files left in place)`);
+        }
+        if (isType) changedTypes.push(path.resolve(filePath));
+        continue;
+      }
+
+      cache.set(filePath, hash);
+      if (isType) changedTypes.push(path.resolve(filePath));
+      else if (!components.has(componentName)) components.set(componentName, filePath);
+    }
+
+    if (changedTypes.length) {
+      this.typeResolver = null;
+      this.zodSchemas = null;
+      this.reportedUnresolved = 0;
+      try {
+        this.resetMergeReport();
+        const models = await this.generateModels();
+        console.log(`${timeStamp()} ✓ types changed: ${models.length} models regenerated${this.mergeSummary()}`);
+      } catch (error) {
+        console.log(`${timeStamp()} ❌ models: ${error.message}`);
+      }
+
+      const resolver = await this.getTypeResolver();
+      for (const { name, filePath } of await discoverComponents()) {
+        if (components.has(name)) continue;
+        const dependencies = await resolver.dependencies(filePath);
+        if (changedTypes.some(file => dependencies.has(file))) components.set(name, filePath);
+      }
+    }
 
-    // Stimulus controller
-    const stimulusPath = path.join(CONFIG.paths.output.stimulus, `${kebabName}_controller.js`);
+    for (const [componentName, filePath] of components) {
+      try {
+        if (this.typeResolver) this.typeResolver.forget(filePath);
+        this.resetMergeReport();
+        const { analysis, files } = await this.generateComponent(componentName);
+        console.log(
+          `${timeStamp()} ✓ ${componentName}: ${analysis.props.length} props, ${analysis.state.length} state, ` +
+            `${analysis.handlers.length} handlers → ${files.length} files${this.mergeSummary()}`
+        );
+      } catch (error) {
+        cache.remove(filePath);
+        console.log(`${timeStamp()} ❌ ${componentName}: ${error.message}`);
+      }
+    }
+
+    await cache.save();
+  }
+
+  /**
+   * Writes a generated file without losing hand edits. The last generated
+   * version of every output is kept under `rails_generated/.generator-base/`;
+   * when the file on disk differs from it, the new output is three-way merged
+   * into the edited file. `--force` overwrites unconditionally.
+   */
+  async writeOutput(filePath, content) {
+    const rel = path.relative(CONFIG.paths.output.base, filePath);
+    const basePath = path.join(CONFIG.paths.output.generatorBase, rel);
+    const saveBase = async () => {
+      await ensureDir(path.dirname(basePath));
+      await fs.writeFile(basePath, content);
+    };
+
+    await ensureDir(path.dirname(filePath));
+    if (this.options.force || !(await pathExists(filePath))) {
+      await fs.writeFile(filePath, content);
+      await saveBase();
+      return;
+    }
+
+    const current = await fs.readFile(filePath, 'utf-8');
+    const base = (await pathExists(basePath)) ? await fs.readFile(basePath, 'utf-8') : null;
+
+    if (current === content) {
+      await saveBase();
+    } else if (base === null) {
+      this.mergeReport.skipped.push(rel);
+      console.log(`⚠️  Skipped ${rel}: no record of the last generated version (use --force to overwrite)`);
+    } else if (current === base) {
+      await fs.writeFile(filePath, content);
+      await saveBase();
+    } else if (current.split('\n').includes(CONFLICT_START)) {
+      this.mergeReport.skipped.push(rel);
+      console.log(`⚠️  Skipped ${rel}: resolve its existing conflict markers first`);
+    } else {
+      const merged = mergeThreeWay(base, current, content);
+      await fs.writeFile(filePath, merged.text);
+      await saveBase();
+      if (merged.conflicts) {
+        this.mergeReport.conflicts.push(rel);
+        console.log(`⚠️  ${merged.conflicts} conflict(s) in ${rel}; resolve the ${CONFLICT_START} markers`);
+      } else {
+        this.mergeReport.merged.push(rel);
+        this.log(`↺ Kept hand edits in ${rel}`);
+      }
+    }
+  }
+
+  printIconReport() {
+    if (!this.unmappedIcons.size) return;
+    console.log(`\nIcons without a rails_icons equivalent (library: ${CONFIG.icons.library}):`);
+    this.unmappedIcons.forEach((components, icon) => {
+      console.log(`  - ${icon} (used in ${Array.from(components).join(', ')})`);
+    });
+    console.log('  Add them to icons.map in rails-blueprint.config.js; the generated markup has a TODO where each one is used.');
+  }
+
+  printRubyUiReport() {
+    if (!this.unmappedPrimitives.size) return;
+    console.log('\nshadcn/ui primitives without a RubyUI mapping:');
+    this.unmappedPrimitives.forEach((components, primitive) => {
+      console.log(`  - ${primitive} (used in ${Array.from(components).join(', ')})`);
+    });
+    console.log('  Add them to rubyUi.components in rails-blueprint.config.js; the generated markup has a TODO where each one is used.');
+  }
 
-    // Ensure directories exist
-    await ensureDir(componentDir);
-    await ensureDir(path.dirname(cssPath));
-    await ensureDir(path.dirname(stimulusPath));
+  resetMergeReport() {
+    this.mergeReport = { merged: [], conflicts: [], skipped: [] };
+  }
 
-    // Write files
-    await fs.writeFile(rbPath, componentFiles.rb);
-    await fs.writeFile(erbPath, componentFiles.erb);
-    await fs.writeFile(cssPath, componentFiles.css);
-    await fs.writeFile(stimulusPath, stimulusCode);
+  // `, 2 merged with hand edits, 1 with conflicts` for the writes since the last reset.
+  mergeSummary() {
+    const { merged, conflicts, skipped } = this.mergeReport;
+    return [
+      merged.length ? `${merged.length} merged with hand edits` : null,
+      conflicts.length ? `${conflicts.length} with conflicts` : null,
+      skipped.length ? `${skipped.length} skipped` : null
+    ]
+      .filter(Boolean)
+      .map(part => `, ${part}`)
+      .join('');
+  }
 
-    console.log(`✓ Saved ViewComponent: ${rbPath}`);
-    console.log(`✓ Saved ERB template: ${erbPath}`);
-    console.log(`✓ Saved BEM styles: ${cssPath}`);
-    console.log(`✓ Saved Stimulus controller: ${stimulusPath}`);
+  printMergeReport() {
+    const { merged, conflicts, skipped } = this.mergeReport;
+    if (!merged.length && !conflicts.length && !skipped.length) return;
+    console.log('\nHand-edited files:');
+    if (merged.length) console.log(`  ↺ merged cleanly: ${merged.length}`);
+    if (conflicts.length) console.log(`  ⚠️  with conflicts: ${conflicts.join(', ')}`);
+    if (skipped.length) console.log(`  ⚠️  skipped: ${skipped.join(', ')}`);
   }
 
-  async appendMappingDoc(analysis) {
-    const snakeName = toSnakeCase(analysis.name);
-    const kebabName = toKebabCase(analysis.name);
+  async saveComponentOutput(componentName, componentFiles, stimulusCode, testCode, previewCode) {
+    const paths = componentOutputPaths(componentName);
+    const { rb: rbPath, erb: erbPath, css: cssPath, stimulus: stimulusPath, test: testPath, preview: previewPath } = paths;
+
+    const outputs = [
+      ['components', rbPath, componentFiles.rb, CONFIG.format === 'phlex' ? 'Phlex component' : 'ViewComponent'],
+      ['components', erbPath, componentFiles.erb, 'ERB template'],
+      ['styles', cssPath, componentFiles.css, 'BEM styles'],
+      ['stimulus', stimulusPath, stimulusCode, 'Stimulus controller'],
+      ['tests', testPath, testCode, 'Component test'],
+      ['tests', previewPath, previewCode, 'Component preview']
+    ].filter(([generator, , content]) => CONFIG.generators[generator] && content !== null);
+
+    for (const [, filePath, content, label] of outputs) {
+      await this.writeOutput(filePath, content);
+      this.log(`✓ Saved ${label}: ${filePath}`);
+    }
+    return outputs.map(([, filePath]) => filePath);
+  }
 
-    const lines = [
-      `## ${analysis.name}`,
+  /**
+   * Inserts or refreshes the component's entry in the mapping log, flags
+   * entries whose React component no longer exists, and keeps entries sorted.
+   */
+  async upsertMappingDoc(analysis) {
+    const { rb, erb, css, stimulus } = componentOutputPaths(analysis.componentName);
+    const railsPath = filePath => path.relative(CONFIG.paths.output.base, filePath);
+    const slots = analysis.props.filter(p => p.slot);
+
+    const generated = [
+      `## ${analysis.componentName}`,
       `- **React component:** \`${analysis.name}\``,
       `  - Props: ${analysis.props.map(p => p.name).join(', ') || 'n/a'}`,
+      `  - Slots: ${slots.map(p => `${p.name} → ${erb ? slotDeclaration(p.slot) : phlexSlot(p.slot)}`).join(', ') || 'n/a'}`,
       `  - State: ${analysis.state.map(s => s.name).join(', ') || 'n/a'}`,
       `  - Hooks: ${analysis.hooks.join(', ') || 'n/a'}`,
-      `  - Icons: ${analysis.icons.join(', ') || 'n/a'}`,
-      `- **ViewComponent:** \`app/components/${snakeName}/${snakeName}_component.rb\``,
-      `- **ERB Template:** \`app/components/${snakeName}/${snakeName}_component.html.erb\``,
-      `- **BEM Styles:** \`app/assets/stylesheets/components/_${kebabName}.css\``,
-      `- **Stimulus:** \`app/javascript/controllers/${kebabName}_controller.js\``,
-      `- **RubyUI usage:** [Document which RubyUI components to use]`,
-      ''
-    ].join('\n');
+      `  - Icons: ${analysis.icons.map(i => `${i} → ${analysis.iconMap[i].rails || '(no rails_icons equivalent)'}`).join(', ') || 'n/a'}`,
+      `  - UI primitives: ${Object.entries(analysis.uiComponents).map(([local, { rubyUi }]) => `${local} → ${rubyUi || '(no RubyUI equivalent)'}`).join(', ') || 'n/a'}`,
+      ...(erb
+        ? [`- **ViewComponent:** \`${railsPath(rb)}\``, `- **ERB Template:** \`${railsPath(erb)}\``]
+        : [`- **Phlex Component:** \`${railsPath(rb)}\``]),
+      `- **BEM Styles:** \`${railsPath(css)}\``,
+      `- **Stimulus:** \`${railsPath(stimulus)}\``,
+      MAPPING_HAND_WRITTEN['- **RubyUI usage:**']
+    ];
+
+    const log = (await pathExists(CONFIG.paths.mappingLog))
+      ? parseMappingLog(await fs.readFile(CONFIG.paths.mappingLog, 'utf-8'))
+      : parseMappingLog(MAPPING_LOG_HEADER);
+    log.entries.set(analysis.componentName, mergeMappingEntry(log.entries.get(analysis.componentName), generated));
+
+    const componentNames = new Set(await listComponentNames());
+    log.entries.forEach((lines, name) => {
+      if (!componentNames.has(name) && !lines.includes(MAPPING_REMOVED_STATUS)) {
+        lines.splice(1, 0, MAPPING_REMOVED_STATUS);
+      }
+    });
 
     await ensureDir(path.dirname(CONFIG.paths.mappingLog));
-    await fs.appendFile(CONFIG.paths.mappingLog, `${lines}\n`);
-    console.log(`✓ Updated mapping log: ${CONFIG.paths.mappingLog}`);
+    await fs.writeFile(CONFIG.paths.mappingLog, renderMappingLog(log));
+    this.log(`✓ Updated mapping log: ${CONFIG.paths.mappingLog}`);
   }
 
   printDryRun(componentFiles, stimulusCode) {
-    console.log('=== ViewComponent (Ruby) ===');
-    console.log(componentFiles.rb);
-    console.log('\n=== ViewComponent (ERB Template) ===');
-    console.log(componentFiles.erb);
+    if (componentFiles.erb === null) {
+      console.log('=== Phlex Component (Ruby) ===');
+      console.log(componentFiles.rb);
+    } else {
+      console.log('=== ViewComponent (Ruby) ===');
+      console.log(componentFiles.rb);
+      console.log('\n=== ViewComponent (ERB Template) ===');
+      console.log(componentFiles.erb);
+    }
     console.log('\n=== BEM Styles (CSS) ===');
     console.log(componentFiles.css);
     console.log('\n=== Stimulus Controller ===');
@@ -888,10 +7350,14 @@ class CLI {
 Rails Component Generator (ViewComponent + ITCSS/BEM)
 
 Generates Rails shadow artifacts from React/TypeScript components:
-- ViewComponent classes with ERB templates
+- ViewComponent classes with ERB templates (or Phlex classes with --format=phlex)
 - BEM-structured CSS files (ITCSS components layer)
 - Stimulus controllers
 - ActiveRecord models (from TypeScript interfaces)
+- db/seeds.rb (from mock data arrays in src/data)
+- Minitest tests and fixtures for components and models
+- ViewComponent previews (from Storybook stories)
+- Routes, controllers and views (from Next.js pages)
 
 Usage:
   node scripts/generate_rails_components.js [options]
@@ -899,14 +7365,30 @@ Usage:
 Options:
   --all                Generate all components
   --component=Name     Generate a specific component
+  --format=<name>      view_component (default: .rb + .html.erb) or phlex (Components::<Name> < Phlex::HTML
+                       classes in app/components/<name>.rb)
   --models-only        Generate only models from TypeScript interfaces
+  --migrations         Generate create_table migrations and db/schema.rb from TypeScript interfaces
+  --seeds              Generate db/seeds.rb and fixtures from exported mock data arrays in src/data
+  --routes             Generate config/routes.rb, controllers and views from Next.js app/ or pages/
+                       (and Api:: controllers from app/api/**/route.ts)
   --dry-run            Preview output without writing files
-  --update-docs        Append mapping info to docs/react_to_rails.md
+  --update-docs        Add or refresh entries in docs/react_to_rails.md
+  --watch              Regenerate changed components (and models when types change) on save
+  --force              Overwrite generated files even if they were edited by hand
+  --check              Report React/Rails drift without writing files (exits 1 on drift)
+  --json               With --check, print the report as JSON
+  --config=<path>      Use this config file instead of rails-blueprint.config.{js,json}
   --help, -h           Show this help message
 
 Output Structure:
   rails_generated/
     app/
+      controllers/         # One per route controller (--routes)
+        <name>_controller.rb
+        api/               # One per API route controller (--routes)
+      views/               # One per page, rendering its ViewComponent (--routes)
+        <controller>/<action>.html.erb
       components/          # ViewComponent (sidecar pattern)
         <name>/
           <name>_component.rb
@@ -920,6 +7402,22 @@ Output Structure:
           <name>_controller.js
       models/              # ActiveRecord models
         <name>.rb
+    config/
+      routes.rb            # Route entries to merge (--routes)
+    test/
+      components/          # ViewComponent render tests
+        <name>_component_test.rb
+        previews/          # ViewComponent previews from <Name>.stories.tsx
+          <name>_component_preview.rb
+      models/              # Model tests
+        <name>_test.rb
+      fixtures/            # Fixtures for the model tests (mock records when there is mock data)
+        <table>.yml
+    db/
+      migrate/             # create_table migrations (--migrations)
+        <timestamp>_create_<table>.rb
+      schema.rb
+      seeds.rb             # find_or_create_by! calls for the mock data (--seeds)
 `);
   }
 }
@@ -946,7 +7444,11 @@ if (require.main === module) {
 module.exports = {
   ComponentAnalyzer,
   ViewComponentGenerator,
+  PhlexComponentGenerator,
   StimulusGenerator,
   ModelGenerator,
+  MigrationGenerator,
+  TypeResolver,
+  ParityChecker,
   CLI
 };